@@ -0,0 +1,141 @@
+/**
+ * Derniers ajouts : génère nouveaux_items.json (sans dépendances)
+ *
+ * Objectif:
+ * - Ne plus tenir nouveaux_items.json à la main : on compare deux versions de
+ *   playlist.enriched.m3u par tvg-id, et les ids apparus deviennent le lot du jour.
+ * - Même parseur que le front (m3u-parser.js), donc mêmes tvg-id.
+ *
+ * Usage:
+ * 1) Node.js >= 18
+ * 2) Lancer:
+ *    node derniers-ajouts.mjs <ancienne.m3u> [nouvelle.m3u] [options]
+ *
+ *    <ancienne.m3u> peut être "git:<ref>" pour lire la version d'un commit, ex:
+ *      node derniers-ajouts.mjs git:HEAD
+ *      node derniers-ajouts.mjs git:HEAD~1 playlist.enriched.m3u
+ *    [nouvelle.m3u] (optionnel, défaut: playlist.enriched.m3u)
+ *
+ * Options:
+ *    --out <fichier>   (défaut: nouveaux_items.json)
+ *    --max <n>         (défaut: 20, comme MAX_NEW_ADDITIONS côté front)
+ *    --dry-run         affiche le JSON sur stdout sans l'écrire (les messages vont sur stderr)
+ *
+ * Sortie (format lu par fetchNewAdditionsIds):
+ *  { "updatedAt": "<ISO>", "newIds": [ajouts de ce lot], "ids": [ajouts récents, du plus récent au plus ancien] }
+ *  - ids = ajouts du lot, puis les ids précédents encore présents dans la playlist
+ *  - Aucun ajout : le fichier existant n'est pas modifié (le badge NEW du jour reste correct)
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import vm from "node:vm";
+import { execFileSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PLAYLIST = "playlist.enriched.m3u";
+const DEFAULT_OUT = "nouveaux_items.json";
+const DEFAULT_MAX = 20;
+
+function usage(msg) {
+  if (msg) console.error(`❌ ${msg}`);
+  console.error("Usage: node derniers-ajouts.mjs <ancienne.m3u|git:<ref>> [nouvelle.m3u] [--out fichier] [--max n] [--dry-run]");
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const opts = { files: [], out: DEFAULT_OUT, max: DEFAULT_MAX, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--out") opts.out = argv[++i] || usage("--out sans fichier");
+    else if (a === "--max") opts.max = Number(argv[++i]);
+    else if (a === "--dry-run") opts.dryRun = true;
+    else if (a === "-h" || a === "--help") usage();
+    else if (a.startsWith("--")) usage(`Option inconnue: ${a}`);
+    else opts.files.push(a);
+  }
+  if (!opts.files.length || opts.files.length > 2) usage();
+  if (!Number.isInteger(opts.max) || opts.max <= 0) usage("--max doit être un entier > 0");
+  return opts;
+}
+
+// m3u-parser.js est un script classique (navigateur / worker) : on l'évalue dans un contexte isolé
+function loadParser() {
+  const code = fs.readFileSync(path.join(HERE, "m3u-parser.js"), "utf8");
+  const context = vm.createContext({ console });
+  vm.runInContext(code, context, { filename: "m3u-parser.js" });
+  if (typeof context.parseM3URecords !== "function") throw new Error("parseM3URecords introuvable dans m3u-parser.js");
+  return context.parseM3URecords;
+}
+
+// "git:<ref>" → version de gitPath dans ce commit ; sinon fichier local
+function readPlaylist(source, gitPath) {
+  const m = String(source).match(/^git:(.+)$/);
+  if (!m) return fs.readFileSync(source, "utf8");
+  // git show <ref>:<chemin relatif au dépôt>
+  const root = execFileSync("git", ["rev-parse", "--show-toplevel"], { encoding: "utf8" }).trim();
+  const file = path.relative(root, path.resolve(gitPath));
+  return execFileSync("git", ["show", `${m[1]}:${file.split(path.sep).join("/")}`], { encoding: "utf8", maxBuffer: 256 * 1024 * 1024 });
+}
+
+// tvg-id dans l'ordre de la playlist (sans doublons)
+function tvgIdsOf(parse, text) {
+  const ids = new Set();
+  for (const rec of parse(text, "Playlist")) {
+    const id = String(rec.tvgId || "").trim();
+    if (id) ids.add(id);
+  }
+  return ids;
+}
+
+function readPreviousOutput(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    return Array.isArray(data?.ids) ? data.ids.filter((x) => typeof x === "string" && x.trim()).map((x) => x.trim()) : [];
+  } catch {
+    return [];
+  }
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const [oldSource, newSource = DEFAULT_PLAYLIST] = opts.files;
+  const parse = loadParser();
+
+  if (newSource.startsWith("git:")) usage("La nouvelle version doit être un fichier");
+  const oldIds = tvgIdsOf(parse, readPlaylist(oldSource, newSource));
+  const newIds = tvgIdsOf(parse, readPlaylist(newSource, newSource));
+
+  const added = [...newIds].filter((id) => !oldIds.has(id));
+  const removed = [...oldIds].filter((id) => !newIds.has(id));
+  // Messages d'information sur stderr : avec --dry-run, stdout ne contient que le JSON
+  console.error(`ℹ️  ${newIds.size} tvg-id (avant: ${oldIds.size}) : ${added.length} ajout(s), ${removed.length} retrait(s)`);
+
+  if (!added.length) {
+    console.error(`✅ Aucun ajout : ${opts.out} inchangé`);
+    return;
+  }
+
+  const previous = readPreviousOutput(opts.out).filter((id) => newIds.has(id));
+  const out = {
+    updatedAt: new Date().toISOString().replace(/\.\d{3}Z$/, "Z"),
+    newIds: added.slice(0, opts.max),
+    ids: [...new Set([...added, ...previous])].slice(0, opts.max),
+  };
+  const json = JSON.stringify(out, null, 2) + "\n";
+
+  if (opts.dryRun) {
+    process.stdout.write(json);
+    return;
+  }
+  fs.writeFileSync(opts.out, json);
+  console.log(`✅ ${opts.out} écrit (${out.newIds.length} nouveaux, ${out.ids.length} au total)`);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`❌ ${e && e.message ? e.message : String(e)}`);
+  process.exit(1);
+}
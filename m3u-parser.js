@@ -0,0 +1,437 @@
+/**
+ * Parseur M3U partagé (Tron Ares)
+ *
+ * Script classique sans DOM : chargé par index.html avant tron-ares.js, et par
+ * playlist-worker.js via importScripts() pour parser hors du thread principal.
+ *
+ * - parseM3URecords(text, defaultGroup, onBatch?, batchSize?) → enregistrements bruts
+ * - parseM3UHeaderAttrs(text) → attributs de la ligne #EXTM3U (url-tvg…)
+ * - searchDocForEntry / parseSearchQuery / matchesSearchDoc → recherche avancée
+ */
+
+// =====================================================
+// M3U PARSER
+// =====================================================
+// Tokenizer conforme : attributs key="v" / key='v' / key=v, virgules entre
+// guillemets respectées, titre = tout ce qui suit la 1re virgule hors guillemets.
+// Directives conservées : #EXTGRP, #EXTVLCOPT (http-*), #EXTHTTP, #KODIPROP,
+// et les en-têtes "à la Kodi" en fin d'URL (url|User-Agent=...&Referer=...).
+
+// Lit une suite d'attributs à partir de s[i]. S'arrête à la 1re virgule hors guillemets
+// si stopAtComma. Retourne { attrs, end } (end = index de la virgule ou s.length).
+function __parseM3UAttrList(s, i = 0, stopAtComma = true) {
+  const attrs = {};
+  const n = s.length;
+
+  while (i < n) {
+    while (i < n && /\s/.test(s[i])) i++;
+    if (i >= n) break;
+    if (s[i] === ',' && stopAtComma) break;
+
+    let k = i;
+    while (k < n && s[k] !== '=' && !/\s/.test(s[k]) && !(stopAtComma && s[k] === ',')) k++;
+    const key = s.slice(i, k).trim().toLowerCase();
+    i = k;
+
+    if (s[i] !== '=') continue; // jeton nu (ex: durée) → ignoré
+    i++;
+
+    let value = '';
+    const q = s[i];
+    if (q === '"' || q === "'") {
+      const close = s.indexOf(q, i + 1);
+      if (close === -1) {
+        value = s.slice(i + 1);
+        i = n;
+      } else {
+        value = s.slice(i + 1, close);
+        i = close + 1;
+      }
+    } else {
+      let v = i;
+      while (v < n && !/\s/.test(s[v]) && !(stopAtComma && s[v] === ',')) v++;
+      value = s.slice(i, v);
+      i = v;
+    }
+
+    if (key) attrs[key] = value.trim();
+  }
+
+  return { attrs, end: i };
+}
+
+// "#EXTINF:-1 tvg-id="x" group-title="A, B",Titre, avec virgule" → { duration, attrs, title }
+function parseExtinfLine(line) {
+  const body = String(line || '').replace(/^#EXTINF:?/i, '');
+  const m = body.match(/^\s*(-?\d+(?:\.\d+)?)/);
+  const duration = m ? Number(m[1]) : -1;
+  const { attrs, end } = __parseM3UAttrList(body, m ? m[0].length : 0, true);
+  const title = end < body.length ? body.slice(end + 1).trim() : '';
+  return { duration, attrs, title };
+}
+
+// Attributs de la ligne #EXTM3U (url-tvg, x-tvg-url, catchup…)
+function parseM3UHeaderAttrs(text) {
+  const first = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0] || '';
+  if (!first.trim().startsWith('#EXTM3U')) return {};
+  return __parseM3UAttrList(first.trim().slice('#EXTM3U'.length), 0, false).attrs;
+}
+
+const __VLCOPT_HEADER_MAP = {
+  'http-user-agent': 'User-Agent',
+  'http-referrer': 'Referer',
+  'http-referer': 'Referer',
+  'http-origin': 'Origin',
+  'http-cookie': 'Cookie'
+};
+
+// "a=b&c=d" (valeurs éventuellement url-encodées) → { a: 'b', c: 'd' }
+function __parseKodiHeaderString(str) {
+  const out = {};
+  for (const part of String(str || '').split('&')) {
+    const eq = part.indexOf('=');
+    if (eq <= 0) continue;
+    const k = part.slice(0, eq).trim();
+    let v = part.slice(eq + 1).trim();
+    try { v = decodeURIComponent(v); } catch {}
+    if (k) out[k] = v;
+  }
+  return out;
+}
+
+function __b64urlToHex(s) {
+  try {
+    const b64 = String(s).replace(/-/g, '+').replace(/_/g, '/');
+    const bin = atob(b64 + '='.repeat((4 - b64.length % 4) % 4));
+    let hex = '';
+    for (let i = 0; i < bin.length; i++) hex += bin.charCodeAt(i).toString(16).padStart(2, '0');
+    return hex;
+  } catch {
+    return '';
+  }
+}
+
+// KODIPROP inputstream.adaptive.* → { type, keys?, licenseUrl?, licenseHeaders?, licenseType, licenseKey }
+function __parseDrmFromKodiProps(props) {
+  const rawType = String(props['inputstream.adaptive.license_type'] || '').trim().toLowerCase();
+  const rawKey = String(props['inputstream.adaptive.license_key'] || '').trim();
+  if (!rawType && !rawKey) return null;
+
+  let type = '';
+  if (/clearkey/.test(rawType)) type = 'clearkey';
+  else if (/widevine/.test(rawType)) type = 'widevine';
+  else if (/playready/.test(rawType)) type = 'playready';
+  else if (!rawType && /^[0-9a-f]{32}:[0-9a-f]{32}/i.test(rawKey)) type = 'clearkey';
+  else type = rawType || 'widevine';
+
+  const drm = { type, licenseType: rawType, licenseKey: rawKey };
+
+  if (type === 'clearkey') {
+    // JSON { keys: [{ kid, k }] } (base64url) | "kid:key,kid:key" (hex) | URL de licence
+    if (rawKey.startsWith('{')) {
+      try {
+        const json = JSON.parse(rawKey);
+        const keys = {};
+        for (const k of (json.keys || [])) {
+          const kid = __b64urlToHex(k.kid);
+          const key = __b64urlToHex(k.k);
+          if (kid && key) keys[kid] = key;
+        }
+        if (Object.keys(keys).length) drm.keys = keys;
+      } catch {}
+    } else if (/^https?:\/\//i.test(rawKey)) {
+      drm.licenseUrl = rawKey;
+    } else if (rawKey) {
+      const keys = {};
+      for (const pair of rawKey.split(',')) {
+        const [kid, key] = pair.split(':').map(x => String(x || '').trim().toLowerCase().replace(/-/g, ''));
+        if (/^[0-9a-f]{32}$/.test(kid) && /^[0-9a-f]{32}$/.test(key)) keys[kid] = key;
+      }
+      if (Object.keys(keys).length) drm.keys = keys;
+    }
+    return drm;
+  }
+
+  // Widevine / PlayReady : "URL|en-têtes|corps|réponse" (format inputstream.adaptive)
+  const [licUrl, licHeaders] = rawKey.split('|');
+  if (licUrl) drm.licenseUrl = licUrl.trim();
+  const headers = __parseKodiHeaderString(licHeaders);
+  if (Object.keys(headers).length) drm.licenseHeaders = headers;
+  return drm;
+}
+
+// Parse une playlist en enregistrements bruts (sans id ni logo normalisé : ajoutés par
+// le thread principal). onBatch(records) est appelé tous les batchSize enregistrements ;
+// dans ce cas rien n'est conservé (tableau retourné vide) : c'est l'appelant qui accumule.
+function parseM3URecords(content, defaultGroup = 'Playlist', onBatch = null, batchSize = 500) {
+  const lines = String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const results = [];
+  let batch = [];
+
+  // État accumulé entre #EXTINF et la ligne URL (certaines playlists mettent
+  // les #KODIPROP / #EXTVLCOPT avant le #EXTINF : on les garde aussi)
+  let inf = null;
+  let extGroup = '';
+  let headers = {};
+  let kodiProps = {};
+
+  const reset = () => {
+    inf = null;
+    extGroup = '';
+    headers = {};
+    kodiProps = {};
+  };
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#EXTM3U')) continue;
+
+    if (/^#EXTINF/i.test(line)) {
+      inf = parseExtinfLine(line);
+      continue;
+    }
+
+    if (/^#EXTGRP:/i.test(line)) {
+      extGroup = line.slice(8).trim();
+      continue;
+    }
+
+    if (/^#EXTVLCOPT:/i.test(line)) {
+      const opt = line.slice(11);
+      const eq = opt.indexOf('=');
+      if (eq > 0) {
+        const k = opt.slice(0, eq).trim().toLowerCase();
+        const h = __VLCOPT_HEADER_MAP[k];
+        if (h) headers[h] = opt.slice(eq + 1).trim();
+      }
+      continue;
+    }
+
+    if (/^#EXTHTTP:/i.test(line)) {
+      try {
+        const json = JSON.parse(line.slice(9));
+        for (const [k, v] of Object.entries(json || {})) {
+          headers[k.toLowerCase() === 'cookie' ? 'Cookie' : k] = String(v);
+        }
+      } catch {}
+      continue;
+    }
+
+    if (/^#KODIPROP:/i.test(line)) {
+      const prop = line.slice(10);
+      const eq = prop.indexOf('=');
+      if (eq > 0) kodiProps[prop.slice(0, eq).trim().toLowerCase()] = prop.slice(eq + 1).trim();
+      continue;
+    }
+
+    if (line.startsWith('#')) continue;
+
+    // URL (+ en-têtes Kodi éventuels après "|")
+    let url = line;
+    const pipe = line.indexOf('|');
+    if (pipe > 0) {
+      url = line.slice(0, pipe).trim();
+      Object.assign(headers, __parseKodiHeaderString(line.slice(pipe + 1)));
+    }
+    for (const k of ['inputstream.adaptive.stream_headers', 'inputstream.adaptive.manifest_headers']) {
+      if (kodiProps[k]) Object.assign(headers, __parseKodiHeaderString(kodiProps[k]));
+    }
+
+    const attrs = inf ? inf.attrs : {};
+    const name = (inf && inf.title) || attrs['tvg-name'] || 'Sans titre';
+    const logoUrl = attrs['tvg-logo'] || attrs['logo'] || '';
+    const group = attrs['group-title'] || extGroup || defaultGroup;
+
+    const rec = {
+      tvgId: String(attrs['tvg-id'] || '').trim(),
+      tmdbId: String(attrs['tmdb-id'] || '').trim(),
+      tvgName: String(attrs['tvg-name'] || '').trim(),
+      tvgCertification: String(attrs['tvg-certification'] || '').trim(),
+      tvgCast: String(attrs['tvg-cast'] || '').trim(),
+      tvgDirector: String(attrs['tvg-director'] || '').trim(),
+      tvgWriter: String(attrs['tvg-writer'] || '').trim(),
+      name,
+      url,
+      logoUrl,
+      group,
+      attrs,
+      httpHeaders: Object.keys(headers).length ? headers : null,
+      drm: __parseDrmFromKodiProps(kodiProps)
+    };
+    rec.searchDoc = searchDocForEntry(rec);
+
+    if (onBatch) {
+      batch.push(rec);
+      if (batch.length >= batchSize) {
+        onBatch(batch);
+        batch = [];
+      }
+    } else {
+      results.push(rec);
+    }
+
+    reset();
+  }
+
+  if (onBatch && batch.length) onBatch(batch);
+  return results;
+}
+
+// =====================================================
+// RECHERCHE (texte normalisé : minuscules, sans accents)
+// =====================================================
+// Syntaxe : mots libres (tous requis), "phrase exacte", champ:valeur,
+// champ:"valeur avec espaces", -négation, year:2020..2024, cert:<=12.
+// Les mots de 4+ lettres tolèrent une faute (2 à partir de 8 lettres).
+const SEARCH_FIELD_ALIASES = {
+  name: 'name', title: 'name', titre: 'name', nom: 'name',
+  group: 'group', groupe: 'group', genre: 'group', cat: 'group',
+  cast: 'cast', actor: 'cast', acteur: 'cast', casting: 'cast',
+  director: 'director', realisateur: 'director', real: 'director',
+  writer: 'writer', scenariste: 'writer',
+  year: 'year', annee: 'year',
+  cert: 'cert', age: 'cert', certification: 'cert'
+};
+
+// Champs parcourus par un mot sans préfixe
+const SEARCH_FREE_FIELDS = ['name', 'group', 'cast', 'director', 'writer'];
+
+function normalizeSearchText(s) {
+  return String(s || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Dernière année 19xx/20xx du titre (même règle que la fiche TMDb)
+function extractYearFromTitle(name) {
+  const years = String(name || '').replace(/[._]+/g, ' ').match(/\b(19|20)\d{2}\b/g);
+  return years && years.length ? Number(years[years.length - 1]) : null;
+}
+
+// "FR:16" → 16, "FR:TP" / "U" / "Tous publics" → 0
+function certificationAge(cert) {
+  const c = normalizeSearchText(cert).replace(/^[a-z]{2}:/, '');
+  if (!c) return null;
+  if (/^(tp|u|g|all|tous publics?)$/.test(c)) return 0;
+  const m = c.match(/\d+/);
+  return m ? Number(m[0]) : null;
+}
+
+// Document indexé pour une entrée (ou un enregistrement brut)
+function searchDocForEntry(entry) {
+  const list = (v) => String(v || '').split('|').join(', ');
+  return {
+    name: normalizeSearchText(entry?.name),
+    group: normalizeSearchText(entry?.group),
+    cast: normalizeSearchText(list(entry?.tvgCast)),
+    director: normalizeSearchText(list(entry?.tvgDirector)),
+    writer: normalizeSearchText(list(entry?.tvgWriter)),
+    cert: normalizeSearchText(entry?.tvgCertification),
+    year: extractYearFromTitle(entry?.name),
+    age: certificationAge(entry?.tvgCertification)
+  };
+}
+
+// "2020..2024" | "..2000" | ">=12" | "<12" | "2021" → { min, max } (bornes incluses)
+function __parseSearchRange(v) {
+  const s = String(v || '').trim();
+  let m = s.match(/^(\d+)?\.\.(\d+)?$/);
+  if (m && (m[1] || m[2])) {
+    return { min: m[1] ? Number(m[1]) : -Infinity, max: m[2] ? Number(m[2]) : Infinity };
+  }
+  m = s.match(/^(<=|>=|<|>|=)?\s*(\d+)$/);
+  if (!m) return null;
+  const n = Number(m[2]);
+  if (m[1] === '<=') return { min: -Infinity, max: n };
+  if (m[1] === '<') return { min: -Infinity, max: n - 1 };
+  if (m[1] === '>=') return { min: n, max: Infinity };
+  if (m[1] === '>') return { min: n + 1, max: Infinity };
+  return { min: n, max: n };
+}
+
+// Requête → [{ field: null|'name'|…, negate, text?, range? }]
+function parseSearchQuery(query) {
+  const clauses = [];
+  const rx = /(-?)(?:([a-zA-Zéèà]+):)?(?:"([^"]*)"?|(\S+))/g;
+  const q = String(query || '');
+  let m;
+  while ((m = rx.exec(q))) {
+    if (!m[0]) { rx.lastIndex++; continue; }
+    // "-" seul : négation en cours de frappe, terme vide → ignoré (sinon tout serait masqué)
+    if (m[0] === '-') continue;
+    const negate = m[1] === '-';
+    let field = m[2] ? SEARCH_FIELD_ALIASES[normalizeSearchText(m[2])] || '' : null;
+    let raw = m[3] != null ? m[3] : m[4];
+
+    // préfixe inconnu (ex: "http:") → texte libre
+    if (field === '') {
+      field = null;
+      raw = m[2] + ':' + raw;
+    }
+
+    if (field === 'year' || field === 'cert') {
+      const range = __parseSearchRange(raw);
+      if (range) {
+        clauses.push({ field, negate, range });
+        continue;
+      }
+      if (field === 'year') continue; // année illisible : ignorée
+    }
+
+    const text = normalizeSearchText(raw);
+    if (!text) continue;
+    clauses.push({ field, negate, text });
+  }
+  return clauses;
+}
+
+function __editDistanceAtMost(a, b, k) {
+  if (Math.abs(a.length - b.length) > k) return false;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      cur.push(v);
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > k) return false;
+    prev = cur;
+  }
+  return prev[b.length] <= k;
+}
+
+// Position [début, fin) de term dans text (normalisés) : sous-chaîne, sinon mot à 1-2 fautes près
+function findSearchTerm(text, term) {
+  if (!text || !term) return null;
+  const at = text.indexOf(term);
+  if (at >= 0) return [at, at + term.length];
+  if (term.length < 4 || term.includes(' ')) return null;
+
+  const k = term.length >= 8 ? 2 : 1;
+  const wordRx = /[a-z0-9]+/g;
+  let w;
+  while ((w = wordRx.exec(text))) {
+    if (__editDistanceAtMost(w[0], term, k)) return [w.index, w.index + w[0].length];
+  }
+  return null;
+}
+
+function __clauseMatches(doc, c) {
+  if (c.range) {
+    const v = c.field === 'year' ? doc.year : doc.age;
+    return v != null && v >= c.range.min && v <= c.range.max;
+  }
+  const fields = c.field ? [c.field] : SEARCH_FREE_FIELDS;
+  return fields.some(f => findSearchTerm(doc[f], c.text) !== null);
+}
+
+// clauses = parseSearchQuery(…) (ou la requête brute)
+function matchesSearchDoc(doc, clauses) {
+  if (typeof clauses === 'string') clauses = parseSearchQuery(clauses);
+  if (!doc) return !clauses.length;
+  return clauses.every(c => __clauseMatches(doc, c) !== c.negate);
+}
@@ -0,0 +1,79 @@
+/**
+ * Worker playlists (Tron Ares)
+ *
+ * Objectif:
+ * - Télécharger et parser les M3U hors du thread principal (lots incrémentaux),
+ *   pour que le chargement de grosses listes ne fige ni l'UI ni la lecture.
+ * - Tenir l'index de recherche (documents normalisés, sans accents) et y
+ *   répondre avec la syntaxe avancée de m3u-parser.js (champ:valeur, -négation…).
+ *
+ * Messages reçus:
+ *  - { type: 'parse', jobId, url?, text?, defaultGroup, batchSize? }
+ *  - { type: 'index', add: [[id, searchDoc], ...], del: [id, ...] }
+ *  - { type: 'search', seq, q }
+ *
+ * Messages émis:
+ *  - { type: 'header', jobId, isM3u, headerAttrs }
+ *  - { type: 'batch', jobId, records }
+ *  - { type: 'done', jobId, total }
+ *  - { type: 'error', jobId, message }
+ *  - { type: 'searchResult', seq, q, ids }
+ */
+
+importScripts('m3u-parser.js');
+
+const searchIndex = new Map(); // id -> searchDoc (voir searchDocForEntry)
+
+async function handleParse(msg) {
+  const { jobId, defaultGroup = 'Playlist', batchSize = 500 } = msg;
+
+  let text = msg.text;
+  if (text == null) {
+    const res = await fetch(msg.url, { cache: 'no-store' });
+    text = await res.text();
+  }
+
+  const isM3u = String(text).trim().startsWith('#EXTM3U');
+  self.postMessage({ type: 'header', jobId, isM3u, headerAttrs: isM3u ? parseM3UHeaderAttrs(text) : {} });
+  if (!isM3u) {
+    self.postMessage({ type: 'done', jobId, total: 0 });
+    return;
+  }
+
+  // Les lots partent au fil du parse, sans copie conservée ici
+  let total = 0;
+  parseM3URecords(text, defaultGroup, (batch) => {
+    total += batch.length;
+    self.postMessage({ type: 'batch', jobId, records: batch });
+  }, batchSize);
+  self.postMessage({ type: 'done', jobId, total });
+}
+
+function handleIndex(msg) {
+  for (const id of msg.del || []) searchIndex.delete(id);
+  for (const [id, doc] of msg.add || []) searchIndex.set(id, doc);
+}
+
+function handleSearch(msg) {
+  const clauses = parseSearchQuery(msg.q);
+  const ids = [];
+  for (const [id, doc] of searchIndex) {
+    if (matchesSearchDoc(doc, clauses)) ids.push(id);
+  }
+  self.postMessage({ type: 'searchResult', seq: msg.seq, q: msg.q, ids });
+}
+
+self.addEventListener('message', async (ev) => {
+  const msg = ev.data || {};
+  try {
+    if (msg.type === 'parse') await handleParse(msg);
+    else if (msg.type === 'index') handleIndex(msg);
+    else if (msg.type === 'search') handleSearch(msg);
+  } catch (e) {
+    if (msg.type === 'parse') {
+      self.postMessage({ type: 'error', jobId: msg.jobId, message: e && e.message ? e.message : String(e) });
+    } else {
+      console.error(e);
+    }
+  }
+});
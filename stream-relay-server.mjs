@@ -0,0 +1,256 @@
+/**
+ * Relais HTTP pour flux IPTV (sans dépendances)
+ *
+ * Objectif:
+ * - Appliquer des en-têtes par entrée (User-Agent, Referer, Origin, Cookie…)
+ *   que le navigateur refuse de fixer depuis fetch / hls.js / dash.js.
+ * - Réécrire les playlists HLS (.m3u8) et manifestes DASH (.mpd) pour que
+ *   les segments passent eux aussi par le relais (avec les mêmes en-têtes).
+ * - Ajouter les en-têtes CORS manquants.
+ *
+ * Usage:
+ * 1) Node.js >= 18
+ * 2) Variables d'environnement:
+ *    PORT                (optionnel, défaut: 8788)
+ *    RELAY_ALLOW_HOSTS   (optionnel, ex: "cdn.example.com,.akamaized.net" ; vide = tout autoriser)
+ *
+ * 3) Lancer:
+ *    node stream-relay-server.mjs
+ *
+ *    Côté front, la base du relais se règle via localStorage 'tronAresRelayBase'
+ *    (défaut: http://localhost:8788).
+ *
+ * Endpoints:
+ *  - GET /relay?u=<url>&h=<en-têtes>
+ *      h = JSON des en-têtes, brut ou en base64url. Redirige (302) vers la forme "chemin".
+ *  - GET /relay/<en-têtes base64url|->/<http|https>/<hôte>/<chemin>?<query>
+ *      Forme canonique : les URLs relatives d'une playlist se résolvent
+ *      naturellement sous le même préfixe, donc via le relais.
+ *  - GET /relay/health
+ *
+ * ⚠️ Outil local : ne l'expose pas publiquement sans RELAY_ALLOW_HOSTS (relais ouvert).
+ */
+
+import http from "node:http";
+import { URL } from "node:url";
+import { Readable } from "node:stream";
+
+const PORT = Number(process.env.PORT || 8788);
+const RELAY_ALLOW_HOSTS = String(process.env.RELAY_ALLOW_HOSTS || "")
+  .split(",")
+  .map((h) => h.trim().toLowerCase())
+  .filter(Boolean);
+
+// En-têtes de réponse amont recopiés vers le client
+const PASSTHROUGH_RESPONSE_HEADERS = [
+  "content-type",
+  "content-length",
+  "content-range",
+  "accept-ranges",
+  "cache-control",
+  "last-modified",
+  "etag",
+];
+
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,HEAD,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Range, Content-Type, Accept");
+  res.setHeader("Access-Control-Expose-Headers", "Content-Length, Content-Range, Accept-Ranges");
+  res.setHeader("Access-Control-Max-Age", "600");
+}
+
+function sendJson(res, status, obj) {
+  setCors(res);
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(obj));
+}
+
+function b64urlEncode(str) {
+  return Buffer.from(String(str), "utf8").toString("base64url");
+}
+
+function b64urlDecode(str) {
+  return Buffer.from(String(str), "base64url").toString("utf8");
+}
+
+// "-" | base64url(JSON) | JSON brut → objet d'en-têtes
+function decodeHeaders(token) {
+  const t = String(token || "").trim();
+  if (!t || t === "-") return {};
+  let json = null;
+  try { json = JSON.parse(t.startsWith("{") ? t : b64urlDecode(t)); } catch { json = null; }
+  if (!json || typeof json !== "object") return {};
+  const out = {};
+  for (const [k, v] of Object.entries(json)) {
+    if (k && v != null) out[String(k)] = String(v);
+  }
+  return out;
+}
+
+function encodeHeaders(headers) {
+  return headers && Object.keys(headers).length ? b64urlEncode(JSON.stringify(headers)) : "-";
+}
+
+function isHostAllowed(host) {
+  if (!RELAY_ALLOW_HOSTS.length) return true;
+  const h = String(host || "").toLowerCase();
+  return RELAY_ALLOW_HOSTS.some((a) => (a.startsWith(".") ? h.endsWith(a) : h === a));
+}
+
+// URL amont → chemin relais (relatif à la racine du relais)
+function relayPathFor(upstream, headerToken) {
+  const u = new URL(upstream);
+  const scheme = u.protocol.replace(":", "");
+  return `/relay/${headerToken}/${scheme}/${u.host}${u.pathname}${u.search}`;
+}
+
+// /relay/<token>/<scheme>/<host>/<path…> → { headerToken, upstream }
+function parseRelayPath(reqUrl) {
+  const m = reqUrl.pathname.match(/^\/relay\/([^/]+)\/(https?)\/([^/]+)(\/.*)?$/);
+  if (!m) return null;
+  const [, headerToken, scheme, host, path] = m;
+  return {
+    headerToken,
+    upstream: `${scheme}://${host}${path || "/"}${reqUrl.search}`,
+  };
+}
+
+function looksLikeHls(upstream, contentType) {
+  return /mpegurl/i.test(contentType) || /\.m3u8?(\?|$)/i.test(upstream);
+}
+
+function looksLikeDash(upstream, contentType) {
+  return /dash\+xml/i.test(contentType) || /\.mpd(\?|$)/i.test(upstream);
+}
+
+// Réécrit toutes les URIs d'une playlist HLS en chemins relais absolus
+function rewriteHls(text, baseUrl, headerToken, origin) {
+  const toRelay = (ref) => {
+    try { return origin + relayPathFor(new URL(ref, baseUrl).href, headerToken); } catch { return ref; }
+  };
+  return text
+    .split(/\r?\n/)
+    .map((line) => {
+      const l = line.trim();
+      if (!l) return line;
+      if (l.startsWith("#")) {
+        // #EXT-X-KEY, #EXT-X-MAP, #EXT-X-MEDIA, #EXT-X-I-FRAME-STREAM-INF… : attribut URI="…"
+        return line.replace(/URI="([^"]+)"/g, (all, ref) => (/^(data|skd):/i.test(ref) ? all : `URI="${toRelay(ref)}"`));
+      }
+      return toRelay(l);
+    })
+    .join("\n");
+}
+
+// Réécrit les URLs absolues / relatives à la racine d'un MPD.
+// Les URLs relatives "simples" se résolvent déjà sous le préfixe relais.
+function rewriteDash(xml, baseUrl, headerToken, origin) {
+  const needsRewrite = (ref) => /^(https?:)?\/\//i.test(ref) || ref.startsWith("/");
+  const unescapeXml = (v) => v.replace(/&amp;/g, "&");
+  const escapeXml = (v) => v.replace(/&/g, "&amp;");
+  const toRelay = (ref) => {
+    try { return escapeXml(origin + relayPathFor(new URL(unescapeXml(ref), baseUrl).href, headerToken)); } catch { return ref; }
+  };
+
+  let out = xml.replace(/<BaseURL([^>]*)>([^<]+)<\/BaseURL>/g, (all, attrs, ref) => {
+    const r = ref.trim();
+    return needsRewrite(r) ? `<BaseURL${attrs}>${toRelay(r)}</BaseURL>` : all;
+  });
+
+  out = out.replace(/\b(media|initialization|sourceURL|href)="([^"]+)"/g, (all, attr, ref) => {
+    return needsRewrite(ref) ? `${attr}="${toRelay(ref)}"` : all;
+  });
+
+  return out;
+}
+
+async function handleRelay(req, res, reqUrl) {
+  const parsed = parseRelayPath(reqUrl);
+  if (!parsed) return sendJson(res, 400, { error: "Chemin relais invalide" });
+
+  const { headerToken, upstream } = parsed;
+  const upstreamUrl = new URL(upstream);
+  if (!isHostAllowed(upstreamUrl.hostname)) {
+    return sendJson(res, 403, { error: "Hôte non autorisé" });
+  }
+
+  const headers = decodeHeaders(headerToken);
+  if (req.headers.range) headers["Range"] = String(req.headers.range);
+
+  const upRes = await fetch(upstream, { method: req.method === "HEAD" ? "HEAD" : "GET", headers, redirect: "follow" });
+  const contentType = upRes.headers.get("content-type") || "";
+  // Après redirection, les URLs relatives se résolvent contre l'URL finale
+  const finalUrl = upRes.url || upstream;
+  const origin = `http://${req.headers.host || `localhost:${PORT}`}`;
+
+  setCors(res);
+  res.statusCode = upRes.status;
+
+  if (upRes.ok && req.method !== "HEAD" && (looksLikeHls(finalUrl, contentType) || looksLikeDash(finalUrl, contentType))) {
+    const text = await upRes.text();
+    const isHls = text.trimStart().startsWith("#EXTM3U");
+    const body = isHls
+      ? rewriteHls(text, finalUrl, headerToken, origin)
+      : rewriteDash(text, finalUrl, headerToken, origin);
+    res.setHeader("Content-Type", contentType || (isHls ? "application/vnd.apple.mpegurl" : "application/dash+xml"));
+    res.setHeader("Cache-Control", "no-store");
+    return res.end(body);
+  }
+
+  // fetch() décompresse gzip/br : la longueur amont ne correspond plus au corps relayé
+  const decoded = !!upRes.headers.get("content-encoding");
+  for (const h of PASSTHROUGH_RESPONSE_HEADERS) {
+    if (decoded && h === "content-length") continue;
+    const v = upRes.headers.get(h);
+    if (v) res.setHeader(h, v);
+  }
+
+  if (!upRes.body || req.method === "HEAD") return res.end();
+  Readable.fromWeb(upRes.body)
+    .on("error", () => { try { res.destroy(); } catch {} })
+    .pipe(res);
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const reqUrl = new URL(req.url || "/", `http://${req.headers.host || "localhost"}`);
+
+    // Préflight CORS
+    if (req.method === "OPTIONS") {
+      setCors(res);
+      res.statusCode = 204;
+      return res.end();
+    }
+
+    if (reqUrl.pathname === "/relay/health") {
+      return sendJson(res, 200, { ok: true });
+    }
+
+    // Forme "query" → redirection vers la forme "chemin"
+    if (reqUrl.pathname === "/relay" && (req.method === "GET" || req.method === "HEAD")) {
+      const u = String(reqUrl.searchParams.get("u") || "");
+      if (!/^https?:\/\//i.test(u)) return sendJson(res, 400, { error: "Paramètre u invalide" });
+      const token = encodeHeaders(decodeHeaders(reqUrl.searchParams.get("h")));
+      setCors(res);
+      res.statusCode = 302;
+      res.setHeader("Location", relayPathFor(u, token));
+      return res.end();
+    }
+
+    if (reqUrl.pathname.startsWith("/relay/") && (req.method === "GET" || req.method === "HEAD")) {
+      return await handleRelay(req, res, reqUrl);
+    }
+
+    return sendJson(res, 404, { error: "Not found" });
+  } catch (e) {
+    console.error(e);
+    if (res.headersSent) return res.destroy();
+    return sendJson(res, 502, { error: e && e.message ? e.message : String(e) });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`✅ Relais flux prêt: http://localhost:${PORT}/relay/health`);
+});
@@ -1,76 +1,155 @@
 // sw.js - Tron Ares IPTV Player
-const CACHE_NAME = 'tron-ares-cache-v1';
+//
+// Version du cache = ?v= de l'enregistrement (APP_BUILD dans tron-ares.js) :
+// changer APP_BUILD installe un nouveau worker, qui attend le clic « Recharger »
+// (message SKIP_WAITING) avant de remplacer l'ancien.
+//
+// Stratégies:
+// - Code de l'app (HTML / JS / CSS / manifest, hls.js, dash.js, polices) : stale-while-revalidate
+// - Affiches TMDb : cache-first, LRU borné (POSTER_CACHE_MAX entrées), hors version.
+//   Récupérées en CORS : une réponse opaque compte plusieurs Mo de quota, on ne la garde pas
+// - Flux, playlists, API, autres images : réseau direct (pas d'interception)
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const CACHE_PREFIX = 'tron-ares-';
+const SHELL_CACHE = CACHE_PREFIX + 'shell-' + VERSION;
+// -v2 : l'ancien cache (réponses opaques) est supprimé à l'activation
+const POSTER_CACHE = CACHE_PREFIX + 'posters-v2';
+const POSTER_CACHE_MAX = 400;
 
-// Fichiers à mettre en cache au premier chargement
-const ASSETS = [
+// Fichiers à mettre en cache à l'installation
+const SHELL_ASSETS = [
   './',
   './index.html',
+  './manifest.webmanifest',
+  './icon.svg',
   './tron-ares.css',
   './tron-ares.js',
-  // bannière
-  'https://vsalema.github.io/tvpt4/css/ChatGPT Image 6 déc. 2025, 19_05_13.png',
+  './tron-store.js',
+  './m3u-parser.js',
+  './playlist-worker.js',
+  './webtor-torrents-ui.v10.css',
+  './webtor-torrents-ui.v10.js',
+  './webtor-rect-overlay.css',
+  './webtor-rect-overlay.v12.js',
+  './webtor-refresh-tabs.v4.js',
 ];
 
-// INSTALL : on pré-cache l’interface
+const SWR_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+const POSTER_HOSTS = ['image.tmdb.org'];
+
+// INSTALL : pré-cache de l'interface (une ressource en échec ne bloque pas les autres)
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => {
-      return cache.addAll(ASSETS).catch((err) => {
-        console.warn('[SW] Erreur au precache :', err);
-      });
-    })
+    caches.open(SHELL_CACHE).then((cache) =>
+      Promise.all(SHELL_ASSETS.map((url) =>
+        cache.add(new Request(url, { cache: 'reload' })).catch((err) => {
+          console.warn('[SW] Erreur au precache :', url, err);
+        })
+      ))
+    )
   );
-  self.skipWaiting();
 });
 
-// ACTIVATE : on nettoie les anciens caches
+// ACTIVATE : on nettoie les caches des anciennes versions (les affiches restent)
 self.addEventListener('activate', (event) => {
   event.waitUntil(
-    caches.keys().then((keys) =>
-      Promise.all(
+    caches.keys()
+      .then((keys) => Promise.all(
         keys
-          .filter((key) => key !== CACHE_NAME)
+          .filter((key) => key.startsWith(CACHE_PREFIX) && key !== SHELL_CACHE && key !== POSTER_CACHE)
           .map((key) => caches.delete(key))
-      )
-    )
+      ))
+      .then(() => self.clients.claim())
   );
-  self.clients.claim();
 });
 
-// FETCH : cache-first pour l’interface, réseau direct pour les flux vidéo/audio
+// La page demande l'activation immédiate (bouton « Recharger » du toast)
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+function isCacheable(res) {
+  return !!res && (res.ok || res.type === 'opaque');
+}
+
+// Réponse en cache tout de suite, mise à jour en arrière-plan
+async function staleWhileRevalidate(event, cacheKey) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(cacheKey, { ignoreSearch: event.request.mode === 'navigate' });
+
+  const network = fetch(event.request)
+    .then((res) => {
+      if (isCacheable(res)) return cache.put(cacheKey, res.clone()).then(() => res);
+      return res;
+    });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+async function trimPosterCache(cache) {
+  const keys = await cache.keys();
+  const excess = keys.length - POSTER_CACHE_MAX;
+  // keys() suit l'ordre d'insertion : les plus anciennes (moins récemment lues) d'abord
+  for (let i = 0; i < excess; i++) await cache.delete(keys[i]);
+}
+
+// Cache-first + LRU : une affiche relue est remise en fin de cache
+async function posterCacheFirst(event) {
+  const req = event.request;
+  const cache = await caches.open(POSTER_CACHE);
+  const cached = await cache.match(req);
+  if (cached) {
+    // Copie avant de rendre la réponse : une fois lue par la page, clone() échoue
+    const copy = cached.clone();
+    event.waitUntil(cache.delete(req).then(() => cache.put(req, copy)).catch(() => {}));
+    return cached;
+  }
+
+  // <img> part en no-cors : on redemande en CORS (TMDb l'autorise), sinon réseau sans cache
+  let res;
+  try {
+    res = await fetch(req.url, { mode: 'cors', credentials: 'omit' });
+  } catch {
+    return fetch(req);
+  }
+  if (res.ok) {
+    event.waitUntil(cache.put(req, res.clone()).then(() => trimPosterCache(cache)).catch(() => {}));
+  }
+  return res;
+}
+
+// FETCH
 self.addEventListener('fetch', (event) => {
   const req = event.request;
+  if (req.method !== 'GET') return;
 
-  // On laisse les flux audio/vidéo / playlists passer directement au réseau
+  const url = new URL(req.url);
   const dest = req.destination;
-  if (dest === 'video' || dest === 'audio') {
-    return; // pas d’interception, comportement normal
+
+  // Flux audio/vidéo : jamais interceptés
+  if (dest === 'video' || dest === 'audio') return;
+
+  if (POSTER_HOSTS.includes(url.hostname) && dest === 'image') {
+    event.respondWith(posterCacheFirst(event));
+    return;
+  }
+
+  const sameOrigin = url.origin === self.location.origin;
+
+  // Navigation : coque de l'app (index.html), quelle que soit la query (?streamUrl=…, ?tv=1)
+  if (req.mode === 'navigate' && sameOrigin) {
+    event.respondWith(staleWhileRevalidate(event, './index.html'));
+    return;
   }
 
-  // Navigation + scripts + styles + images → cache-first
-  if (
-    dest === 'document' ||
-    dest === 'script' ||
-    dest === 'style' ||
-    dest === 'image' ||
-    dest === 'font' ||
-    req.mode === 'navigate'
-  ) {
-    event.respondWith(
-      caches.match(req).then((cached) => {
-        if (cached) return cached;
-        return fetch(req)
-          .then((res) => {
-            // On met en cache la réponse pour la prochaine fois
-            const resClone = res.clone();
-            caches.open(CACHE_NAME).then((cache) => {
-              cache.put(req, resClone);
-            });
-            return res;
-          })
-          .catch(() => cached || res); // au cas où
-      })
-    );
+  const isAppCode = ['script', 'style', 'worker', 'manifest', 'font'].includes(dest) ||
+    (sameOrigin && /\.(svg|webmanifest)$/i.test(url.pathname));
+  if (isAppCode && (sameOrigin || SWR_HOSTS.includes(url.hostname))) {
+    event.respondWith(staleWhileRevalidate(event, req));
   }
-  // Pour le reste → comportement normal
+  // Pour le reste (playlists, JSON, API, images tierces) → comportement normal
 });
@@ -1,15 +1,15 @@
 
   // ===== OpenSubtitles Api-Key (champ visible, auto-rempli et masqué) =====
-  const __OS_API_KEY_LS = 'tron_os_api_key';
+  // Persistée via TronStore (clé kv 'osApiKey', ex-localStorage 'tron_os_api_key')
   // ✅ Clé par défaut (persiste même si cookies/données effacés)
   // Mets ta clé ici :
   const __OS_DEFAULT_API_KEY = 'rVx2gnz00ySZGN20Q0XWvitki9wXhv36';
   function __osLoadApiKey() {
-    try { return localStorage.getItem(__OS_API_KEY_LS) || __OS_DEFAULT_API_KEY || '';
+    try { return TronStore.get('osApiKey', '') || __OS_DEFAULT_API_KEY || '';
     } catch { return __OS_DEFAULT_API_KEY || ''; }
   }
   function __osSaveApiKey(v) {
-    try { localStorage.setItem(__OS_API_KEY_LS, (v || '').trim()); } catch {}
+    try { TronStore.set('osApiKey', (v || '').trim()); } catch {}
   }
   function __osGetApiKey() {
     const el = document.getElementById('subtitleSearchApiKeyInput');
@@ -39,90 +39,327 @@
     });
     obs.observe(document.documentElement, { childList: true, subtree: true });
   }
-  try { __osAutoBindApiKeyField(); } catch {}
+  TronStore.ready.then(() => { try { __osAutoBindApiKeyField(); } catch {} });
 
 
 // =====================================================
 // TRON ARES IPTV PLAYER - JS CLEAN + RESUME + TRACKS
 // =====================================================
 
-// --------- RESUME POSITIONS (CHANNELS SEULEMENT) ---------
+// --------- PROFILS (état persistant par profil) ---------
+// Favoris, historique, reprises, thème et préférences sous-titres vivent sous
+// "p:<id>:<clé>" dans TronStore ; rien n'est chargé avant activateProfile (voir PROFILS - UI).
+let activeProfileId = '';
+let __resolveProfileReady = null;
+const profileReady = new Promise((resolve) => { __resolveProfileReady = resolve; });
+
+function __profileKey(key) {
+  return activeProfileId ? TronStore.profileKey(activeProfileId, key) : '';
+}
+
+function __saveProfileState(key, value) {
+  const pk = __profileKey(key);
+  if (pk) TronStore.set(pk, value);
+}
+
+// --------- CONTRÔLE PARENTAL (tvg-certification + groupes adultes) ---------
+// TronStore 'parental' = { pinHash, mode: 'lock' | 'hide', groupPattern } (commun à tous les profils).
+// La limite d'âge est propre au profil (profile.maturity, null = aucune limite).
+// Les groupes adultes sont bloqués pour tous les profils, même sans limite d'âge.
+// Une certification absente ou illisible n'est pas bloquée : seuls les groupes adultes le sont.
+const PARENTAL_DEFAULT_GROUP_PATTERN = 'adult|xxx|porn|[eé]rot|charme|\\+ ?18|18 ?\\+';
+
+// PIN saisi : débloque seulement cette entrée (stableKey), jusqu'au prochain changement de profil
+const parentalUnlockedKeys = new Set();
+let __parentalGroupReCache = { src: null, re: null };
+
+function getParentalSettings() {
+  const saved = TronStore.get('parental', null) || {};
+  return {
+    pinHash: saved.pinHash || '',
+    mode: saved.mode === 'hide' ? 'hide' : 'lock',
+    groupPattern: typeof saved.groupPattern === 'string' ? saved.groupPattern : PARENTAL_DEFAULT_GROUP_PATTERN
+  };
+}
+
+function __parentalGroupRe() {
+  const src = getParentalSettings().groupPattern.trim();
+  if (__parentalGroupReCache.src !== src) {
+    let re = null;
+    try { re = src ? new RegExp(src, 'i') : null; } catch { re = null; }
+    __parentalGroupReCache = { src, re };
+  }
+  return __parentalGroupReCache.re;
+}
+
+// Au-dessus de la limite du profil actif (ou groupe adulte) et pas encore débloqué par PIN
+function isEntryRestricted(entry) {
+  if (!entry || !getActiveProfile()) return false;
+  const key = stableKeyForEntry(entry);
+  if (key && parentalUnlockedKeys.has(key)) return false;
+  const re = __parentalGroupRe();
+  if (re && entry.group && re.test(entry.group)) return true;
+  const maturity = getActiveProfile().maturity;
+  if (maturity == null) return false;
+  const age = __entrySearchDoc(entry)?.age;
+  return age != null && age > maturity;
+}
+
+// Mode "masquer" : l'entrée disparaît des listes, de la vitrine et de la recherche
+function isEntryHidden(entry) {
+  return isEntryRestricted(entry) && getParentalSettings().mode === 'hide';
+}
+
+// --------- RESUME POSITIONS (FILMS / CHANNELS SEULEMENT) ---------
+// stableKey (tvg: / tmdb: / url:) -> { t, d, at } : les URLs Kaltura tournent,
+// le tvg-id reste. Anciennes données (URL -> secondes) migrées en "url:<url>".
+const RESUME_MAX_ITEMS = 200;
+const RESUME_MAX_AGE_MS = 120 * 24 * 60 * 60 * 1000;
+
+// Persisté par profil (clé 'resume') : écritures regroupées par TronStore
 let resumePositions = {};
-try {
-  const saved = localStorage.getItem('tronAresResume');
-  if (saved) resumePositions = JSON.parse(saved);
-} catch {
-  resumePositions = {};
-}
-if (!resumePositions || typeof resumePositions !== 'object') resumePositions = {};
-
-// --------- PERF: PERSISTENCE THROTTLING (localStorage is sync) ---------
-let __resumeDirty = false;
-let __resumeSaveTimer = null;
-let __lastResumeSaveAt = 0;
-const RESUME_SAVE_INTERVAL_MS = 4000;
-
-function __persistResumeNow() {
-  if (!__resumeDirty) return;
-  __resumeDirty = false;
-  try { localStorage.setItem('tronAresResume', JSON.stringify(resumePositions)); } catch {}
-  __lastResumeSaveAt = Date.now();
-}
-
-function __scheduleResumeSave(force = false) {
-  __resumeDirty = true;
-  if (force) {
-    if (__resumeSaveTimer) { clearTimeout(__resumeSaveTimer); __resumeSaveTimer = null; }
-    __persistResumeNow();
-    return;
+
+function __saveResumePositions() {
+  __saveProfileState('resume', resumePositions);
+}
+
+// Âge max + LRU (at = dernière écriture)
+function __pruneResumePositions() {
+  const now = Date.now();
+  let changed = false;
+  for (const [k, v] of Object.entries(resumePositions)) {
+    if (!v || now - (v.at || 0) > RESUME_MAX_AGE_MS) {
+      delete resumePositions[k];
+      changed = true;
+    }
   }
-  if (__resumeSaveTimer) return;
-  const elapsed = Date.now() - __lastResumeSaveAt;
-  const wait = Math.max(RESUME_SAVE_INTERVAL_MS - elapsed, 500);
-  __resumeSaveTimer = setTimeout(() => {
-    __resumeSaveTimer = null;
-    __persistResumeNow();
-  }, wait);
-}
-
-// UID persistence (avoid thousands of sync writes during M3U parsing)
-let __uidDirty = false;
-let __uidSaveTimer = null;
-function __persistUidSoon() {
-  __uidDirty = true;
-  if (__uidSaveTimer) return;
-  __uidSaveTimer = setTimeout(() => {
-    __uidSaveTimer = null;
-    if (!__uidDirty) return;
-    __uidDirty = false;
-    try { localStorage.setItem('tronAresUid', String(uid)); } catch {}
-  }, 800);
-}
-
-// Flush persistence on lifecycle events
-document.addEventListener('visibilitychange', () => {
-  if (document.visibilityState === 'hidden') {
-    __persistResumeNow();
-    // uid flush (best-effort)
-    if (__uidDirty) { __uidDirty = false; try { localStorage.setItem('tronAresUid', String(uid)); } catch {} }
+  const keys = Object.keys(resumePositions);
+  if (keys.length > RESUME_MAX_ITEMS) {
+    keys
+      .sort((a, b) => (resumePositions[b].at || 0) - (resumePositions[a].at || 0))
+      .slice(RESUME_MAX_ITEMS)
+      .forEach(k => { delete resumePositions[k]; });
+    changed = true;
   }
-});
-window.addEventListener('beforeunload', () => {
-  __persistResumeNow();
-  if (__uidDirty) { __uidDirty = false; try { localStorage.setItem('tronAresUid', String(uid)); } catch {} }
-});
+  return changed;
+}
+
+// Chargement au changement de profil (+ migration des anciennes valeurs URL -> secondes)
+function __loadResumePositions() {
+  const saved = TronStore.get(__profileKey('resume'), {});
+  resumePositions = (saved && typeof saved === 'object') ? saved : {};
+
+  let migrated = false;
+  const now = Date.now();
+  for (const [k, v] of Object.entries(resumePositions)) {
+    if (typeof v !== 'number') continue;
+    delete resumePositions[k];
+    if (v > 0) resumePositions['url:' + k] = { t: v, d: 0, at: now };
+    migrated = true;
+  }
+  if (__pruneResumePositions() || migrated) __saveResumePositions();
+}
+
+// Position sauvegardée d'une entrée ; adopte au passage une ancienne clé "url:"
+function getResumePosition(entry) {
+  const key = stableKeyForEntry(entry);
+  if (!key) return null;
+  const legacyKey = entry.url ? 'url:' + entry.url : '';
+  if (!resumePositions[key] && legacyKey && legacyKey !== key && resumePositions[legacyKey]) {
+    resumePositions[key] = resumePositions[legacyKey];
+    delete resumePositions[legacyKey];
+    __saveResumePositions();
+  }
+  return resumePositions[key] || null;
+}
 
+function saveResumePosition(entry, t, d) {
+  const key = stableKeyForEntry(entry);
+  if (!key) return;
+  const isNew = !resumePositions[key];
+  resumePositions[key] = { t, d: isFinite(d) ? d : 0, at: Date.now() };
+  if (isNew) __pruneResumePositions();
+  __saveResumePositions();
+}
+
+function clearResumePosition(entry) {
+  const key = stableKeyForEntry(entry);
+  if (!key || !resumePositions[key]) return;
+  delete resumePositions[key];
+  __saveResumePositions();
+}
 
 // --- RECHERCHE GLOBALE ---
+// Syntaxe avancée (cast:, director:, year:2020..2024, cert:<=12, -négation…) : voir m3u-parser.js.
+// L'index (documents normalisés, sans accents) vit dans playlist-worker.js ; tant que
+// sa réponse ne correspond pas à la requête courante, on filtre localement.
 let currentSearch = '';
+let __searchHitIds = null;       // Set d'ids renvoyé par le worker
+let __searchHitsQuery = '';      // requête à laquelle __searchHitIds répond
+const __searchIndexed = new Set(); // ids déjà envoyés à l'index du worker
+
+let __searchClausesCache = { q: null, clauses: [] };
+
+function __entrySearchDoc(entry) {
+  if (entry && !entry.searchDoc) entry.searchDoc = searchDocForEntry(entry);
+  return entry?.searchDoc || null;
+}
+
+function currentSearchClauses() {
+  if (__searchClausesCache.q !== currentSearch) {
+    __searchClausesCache = { q: currentSearch, clauses: parseSearchQuery(currentSearch) };
+  }
+  return __searchClausesCache.clauses;
+}
+
 function matchesSearch(entry) {
   if (!currentSearch) return true;
-  const q = currentSearch.toLowerCase();
-  return (
-    (entry?.name && entry.name.toLowerCase().includes(q)) ||
-    (entry?.group && entry.group.toLowerCase().includes(q))
-  );
+  if (__searchHitIds && __searchHitsQuery === currentSearch && __searchIndexed.has(entry?.id)) {
+    return __searchHitIds.has(entry.id);
+  }
+  return matchesSearchDoc(__entrySearchDoc(entry), currentSearchClauses());
+}
+
+// Listes : recherche + contrôle parental (mode "masquer")
+function __isListedEntry(entry) {
+  return matchesSearch(entry) && !isEntryHidden(entry);
+}
+
+// Termes à surligner pour un champ : clauses positives de ce champ + mots libres
+function searchTermsForField(field) {
+  if (!currentSearch) return [];
+  return currentSearchClauses()
+    .filter(c => !c.negate && c.text && (c.field === field || (!c.field && SEARCH_FREE_FIELDS.includes(field))))
+    .map(c => c.text);
+}
+
+// Remplit el avec text, passages correspondants entourés de <mark>. Retourne true si surlignage.
+function setHighlightedText(el, text, terms) {
+  const raw = String(text || '');
+  el.textContent = '';
+  if (!raw || !terms.length) {
+    el.textContent = raw;
+    return false;
+  }
+
+  // Normalisation caractère par caractère : map[i] = index d'origine du i-ème caractère normalisé
+  let norm = '';
+  const map = [];
+  for (let i = 0; i < raw.length; i++) {
+    const n = /\s/.test(raw[i]) ? ' ' : raw[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (const ch of n) {
+      norm += ch;
+      map.push(i);
+    }
+  }
+
+  const ranges = [];
+  for (const t of terms) {
+    let from = 0;
+    while (from < norm.length) {
+      const r = findSearchTerm(norm.slice(from), t);
+      if (!r) break;
+      ranges.push([map[r[0] + from], map[r[1] + from - 1] + 1]);
+      from += r[1];
+    }
+  }
+  if (!ranges.length) {
+    el.textContent = raw;
+    return false;
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  let pos = 0;
+  for (const [a, b] of ranges) {
+    if (b <= pos) continue;
+    const start = Math.max(a, pos);
+    if (start > pos) el.appendChild(document.createTextNode(raw.slice(pos, start)));
+    const mark = document.createElement('mark');
+    mark.textContent = raw.slice(start, b);
+    el.appendChild(mark);
+    pos = b;
+  }
+  if (pos < raw.length) el.appendChild(document.createTextNode(raw.slice(pos)));
+  return true;
+}
+
+// Ligne "Casting / Réal. / Année / Âge" d'une ligne de liste, si la recherche y correspond
+function __createSearchMatchNode(entry) {
+  if (!currentSearch || !entry) return null;
+  const parts = [];
+
+  const addPart = (label, text, terms, whole = false) => {
+    if (!text) return;
+    const span = document.createElement('span');
+    const value = document.createElement('span');
+    if (whole) {
+      const mark = document.createElement('mark');
+      mark.textContent = text;
+      value.appendChild(mark);
+    } else if (!setHighlightedText(value, text, terms)) {
+      return;
+    }
+    span.appendChild(document.createTextNode(label + ' '));
+    span.appendChild(value);
+    parts.push(span);
+  };
+
+  const list = (v) => String(v || '').split('|').join(', ');
+  addPart('Casting', list(entry.tvgCast), searchTermsForField('cast'));
+  addPart('Réal.', list(entry.tvgDirector), searchTermsForField('director'));
+  addPart('Scénario', list(entry.tvgWriter), searchTermsForField('writer'));
+
+  const clauses = currentSearchClauses();
+  const doc = __entrySearchDoc(entry);
+  if (doc?.year != null && clauses.some(c => c.field === 'year' && !c.negate)) addPart('Année', String(doc.year), [], true);
+  if (entry.tvgCertification && clauses.some(c => c.field === 'cert' && !c.negate)) addPart('Âge', entry.tvgCertification, [], true);
+
+  if (!parts.length) return null;
+  const node = document.createElement('div');
+  node.className = 'channel-match';
+  parts.forEach((p, i) => {
+    if (i) node.appendChild(document.createTextNode(' · '));
+    node.appendChild(p);
+  });
+  return node;
+}
+// --------- RELAIS HTTP (en-têtes par entrée : User-Agent / Referer…) ---------
+// Le navigateur ne peut pas fixer Referer / User-Agent depuis fetch/Hls :
+// quand une entrée déclare entry.httpHeaders, on passe par stream-relay-server.mjs.
+// Base configurable : window.TRON_RELAY_BASE ou TronStore 'relayBase' (ex-localStorage 'tronAresRelayBase'),
+// commune à l'appareil comme le relais lui-même.
+const STREAM_RELAY_BASE_DEFAULT = 'http://localhost:8788';
+
+function __relayBase() {
+  let base = '';
+  try { base = window.TRON_RELAY_BASE || TronStore.get('relayBase', '') || ''; } catch {}
+  return String(base || STREAM_RELAY_BASE_DEFAULT).replace(/\/+$/, '');
+}
+
+function __b64urlEncodeUtf8(str) {
+  const bytes = new TextEncoder().encode(String(str || ''));
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 }
+
+// Forme "chemin" : /relay/<en-têtes b64url>/<https>/<hôte>/<chemin>?<query>
+// → les URLs relatives des playlists HLS / MPD se résolvent naturellement via le relais.
+function __relayUrlFor(url, headers) {
+  if (!headers || !Object.keys(headers).length || !isHttpUrl(url)) return url;
+  try {
+    const u = new URL(url);
+    const scheme = u.protocol.replace(':', '');
+    return __relayBase() + '/relay/' + __b64urlEncodeUtf8(JSON.stringify(headers)) + '/' + scheme + '/' + u.host + u.pathname + u.search;
+  } catch {
+    return url;
+  }
+}
+
+function __playbackUrlForEntry(entry) {
+  return __relayUrlFor(entry?.url || '', entry?.httpHeaders);
+}
+
 // --------- LINK CHECKER (badges 🟢 OK / 🔴 KO) ---------
 const linkCheckCache = new Map(); // key -> { status:'ok'|'ko'|'pending'|null, at:number, info:string }
 
@@ -186,11 +423,11 @@ function hydrateBadgeFromCache(itemEl, entry) {
   if (st) applyLinkStatusToBadge(badge, st.status, st.info);
 }
 
-async function checkUrlByFetch(url, timeoutMs = 6500) {
+async function checkUrlByFetch(url, timeoutMs = 6500, headers = null) {
   const ctrl = new AbortController();
   const t = setTimeout(() => ctrl.abort(), timeoutMs);
   try {
-    const res = await fetch(url, {
+    const res = await fetch(__relayUrlFor(url, headers), {
       method: 'GET',
       headers: { Range: 'bytes=0-2047' },
       cache: 'no-store',
@@ -251,7 +488,7 @@ async function checkEntryLink(entry) {
   }
 
   // Stream → test réseau via fetch (403/404/timeout, etc.)
-  return await checkUrlByFetch(url);
+  return await checkUrlByFetch(url, 6500, entry?.httpHeaders);
 }
 
 async function runWithConcurrency(tasks, limit, onProgress) {
@@ -288,10 +525,12 @@ const iframeItems = [];   // Overlays / iFrames
 
 // ✅ UID GLOBAL UNIQUE (PERSISTANT) + HELPERS ID/LOGO
 // =====================================================
-let uid = Number(localStorage.getItem('tronAresUid') || '0');
+// Persisté via TronStore (clé kv 'uid') ; loadMainPlaylists attend TronStore.ready
+let uid = 0;
+TronStore.ready.then(() => { uid = Math.max(uid, Number(TronStore.get('uid', 0)) || 0); });
 function nextUid() {
   uid += 1;
-  __persistUidSoon();
+  TronStore.set('uid', uid);
   return uid;
 }
 
@@ -303,6 +542,168 @@ function normalizeLogo(logo, fallbackName) {
   return deriveLogoFromName(fallbackName);
 }
 
+// =====================================================
+// ★ FAVORIS PERSISTANTS (clé stable : tvgId / tmdbId, fallback URL)
+// =====================================================
+// Les URLs tokenisées changent (Kaltura, Akamai…) : on identifie une entrée
+// d'abord par son tvg-id, puis son tmdb-id, et seulement en dernier par l'URL.
+// Persisté par profil (clé 'favorites', ex-localStorage 'tronAresFavorites').
+let favoriteStore = {}; // stableKey -> { name, listType, at }
+
+function stableKeyForEntry(entry) {
+  if (!entry) return '';
+  const tvgId = String(entry.tvgId || '').trim();
+  if (tvgId) return 'tvg:' + tvgId;
+  const tmdbId = String(entry.tmdbId || '').trim();
+  if (tmdbId) return 'tmdb:' + tmdbId;
+  const url = String(entry.url || '').trim();
+  return url ? 'url:' + url : '';
+}
+
+function __persistFavorites() {
+  __saveProfileState('favorites', favoriteStore);
+}
+
+function __loadFavorites() {
+  const saved = TronStore.get(__profileKey('favorites'), {});
+  favoriteStore = (saved && typeof saved === 'object') ? saved : {};
+  __syncFavoriteFlags();
+}
+
+function isFavoriteEntry(entry) {
+  const key = stableKeyForEntry(entry);
+  return !!(key && favoriteStore[key]);
+}
+
+function setFavoriteEntry(entry, on) {
+  const key = stableKeyForEntry(entry);
+  if (!key) return;
+  if (on) {
+    favoriteStore[key] = {
+      name: String(entry.name || ''),
+      listType: entry.listType || '',
+      at: favoriteStore[key]?.at || Date.now()
+    };
+  } else {
+    delete favoriteStore[key];
+  }
+  entry.isFavorite = !!on;
+  __persistFavorites();
+}
+
+function toggleFavoriteEntry(entry) {
+  setFavoriteEntry(entry, !isFavoriteEntry(entry));
+  return !!entry?.isFavorite;
+}
+
+// Recopie l'état du store sur le flag isFavorite (compat export JSON / anciens appels)
+function __syncFavoriteFlags() {
+  const apply = (arr) => {
+    for (const e of arr) if (e) e.isFavorite = isFavoriteEntry(e);
+  };
+  apply(channels);
+  apply(frChannels);
+  apply(iframeItems);
+}
+
+// =====================================================
+// 🕘 HISTORIQUE DE VISIONNAGE (clé stable, comme les favoris)
+// =====================================================
+// stableKey -> { key, name, listType, tvgId, tmdbId, poster, url, firstAt, lastAt,
+//                plays, position, duration, pct, watched }
+const HISTORY_MAX_ITEMS = 300;
+const HISTORY_WATCHED_PCT = 92;        // au-delà : considéré comme vu
+const HISTORY_MIN_RESUME_SEC = 10;
+
+// Persisté par profil (clé 'history', ex-localStorage 'tronAresHistory')
+let watchHistory = {};
+
+function __saveHistory() {
+  __saveProfileState('history', watchHistory);
+}
+
+function __loadHistory() {
+  const saved = TronStore.get(__profileKey('history'), {});
+  watchHistory = (saved && typeof saved === 'object') ? saved : {};
+}
+
+// LRU : on garde les HISTORY_MAX_ITEMS plus récents
+function __pruneHistory() {
+  const keys = Object.keys(watchHistory);
+  if (keys.length <= HISTORY_MAX_ITEMS) return;
+  keys
+    .sort((a, b) => (watchHistory[b].lastAt || 0) - (watchHistory[a].lastAt || 0))
+    .slice(HISTORY_MAX_ITEMS)
+    .forEach(k => { delete watchHistory[k]; });
+}
+
+// Nouvelle lecture d'une entrée (pas les relances auto / sources de secours)
+function recordHistoryStart(entry) {
+  const key = stableKeyForEntry(entry);
+  if (!key) return;
+  const now = Date.now();
+  const prev = watchHistory[key] || {};
+
+  watchHistory[key] = {
+    key,
+    name: String(entry.name || prev.name || ''),
+    listType: entry.listType || prev.listType || '',
+    tvgId: String(entry.tvgId || '').trim(),
+    tmdbId: String(entry.tmdbId || '').trim(),
+    poster: entry.logo?.type === 'image' ? entry.logo.value : (prev.poster || ''),
+    url: String(entry.url || ''),
+    firstAt: prev.firstAt || now,
+    lastAt: now,
+    plays: (prev.plays || 0) + 1,
+    position: prev.position || 0,
+    duration: prev.duration || 0,
+    pct: prev.pct || 0,
+    watched: !!prev.watched
+  };
+  __pruneHistory();
+  __saveHistory();
+  try { if (historyListEl?.classList.contains('active')) renderHistoryList(); } catch {}
+}
+
+// Progression (VOD uniquement : les directs n'ont pas de durée finie)
+function updateHistoryProgress(entry, position, duration) {
+  const item = watchHistory[stableKeyForEntry(entry)];
+  if (!item || !isFinite(duration) || duration <= 0) return;
+
+  item.position = Math.max(0, position);
+  item.duration = duration;
+  item.pct = Math.min(100, Math.round((position / duration) * 100));
+  item.lastAt = Date.now();
+  if (item.pct >= HISTORY_WATCHED_PCT) item.watched = true;
+  __saveHistory();
+}
+
+function removeHistoryItem(key) {
+  if (!watchHistory[key]) return;
+  delete watchHistory[key];
+  __saveHistory();
+}
+
+// Vu → sort de "Reprendre" ; non vu → repart du début
+function setHistoryWatched(key, watched) {
+  const item = watchHistory[key];
+  if (!item) return;
+  item.watched = !!watched;
+  item.position = 0;
+  item.pct = watched ? 100 : 0;
+  __saveHistory();
+}
+
+function getHistoryItems() {
+  return Object.values(watchHistory).sort((a, b) => (b.lastAt || 0) - (a.lastAt || 0));
+}
+
+function getContinueWatchingItems(limit = 20) {
+  return getHistoryItems()
+    .filter(it => !it.watched && it.duration >= 60 && it.position >= HISTORY_MIN_RESUME_SEC && it.pct < HISTORY_WATCHED_PCT)
+    .slice(0, limit);
+}
+
 let currentIndex = -1;
 let currentFrIndex = -1;
 let currentIframeIndex = -1;
@@ -315,6 +716,14 @@ let favoritesView = [];
 const NEW_ADDITIONS_JSON = 'nouveaux_items.json';
 const MAX_NEW_ADDITIONS = 20;
 
+// Source des "Derniers ajouts" :
+// 'json'  → nouveaux_items.json (commun à tous, généré par derniers-ajouts.mjs)
+// 'visit' → par profil : films vus pour la première fois depuis la dernière visite
+// 'auto'  → le JSON s'il existe, sinon 'visit'
+const NEW_ADDITIONS_SOURCE = 'auto';
+// Au-delà de cette inactivité, un retour compte comme une nouvelle visite
+const NEW_ADDITIONS_VISIT_GAP_MS = 30 * 60 * 1000;
+
 // IDs des "Derniers ajouts" (ordre conservé depuis le JSON)
 let newAdditionsIds = [];
 let newAdditionsNewIds = [];
@@ -326,6 +735,12 @@ let newAdditionsUpdatedParisDate = '';      // YYYY-MM-DD (Europe/Paris)
 let newAdditionsIsToday = false;            // true si updatedAt = aujourd'hui (Europe/Paris)
 
 let newAdditionsMode = false;
+let newAdditionsFromVisit = false;          // true si la liste vient du mode 'visit'
+
+// tvg-id apparus lors des mises à jour de playlist (journal des changements, voir
+// recordPlaylistChanges) : passent devant ceux du JSON dans "Derniers ajouts"
+let playlistAddedIds = [];
+let playlistAddedTodayIds = new Set();
 
 // Helper: date YYYY-MM-DD en Europe/Paris (sans dépendre du locale navigateur)
 function __parisDateKey(dateObj){
@@ -373,6 +788,11 @@ function getActiveTabKey(){
 }
 
 async function fetchNewAdditionsIds(){
+  if(NEW_ADDITIONS_SOURCE === 'visit'){
+    await profileReady;
+    __applyVisitNewAdditions();
+    return;
+  }
   try{
     const res = await fetch(NEW_ADDITIONS_JSON + '?_=' + Date.now());
     if(!res.ok) throw new Error('HTTP ' + res.status);
@@ -418,7 +838,13 @@ async function fetchNewAdditionsIds(){
 
     // Met à jour le flag "NEW aujourd'hui" (Europe/Paris)
     __refreshNewAdditionsIsToday();
+    newAdditionsFromVisit = false;
   }catch(err){
+    if(NEW_ADDITIONS_SOURCE === 'auto'){
+      await profileReady;
+      __applyVisitNewAdditions();
+      return;
+    }
     console.warn('[Derniers ajouts] JSON introuvable ou invalide:', err);
     newAdditionsIds = [];
     newAdditionsNewIds = [];
@@ -430,8 +856,78 @@ async function fetchNewAdditionsIds(){
 
 
 
+// ---- Mode 'visit' : première apparition de chaque tvg-id, par profil ----
+// Profil : 'firstSeen' = { tvgId: timestamp } (0 = déjà présent au premier passage)
+//          'visit'     = { startedAt, lastActiveAt }
+function trackFirstSeenAdditions(){
+  const ids = [];
+  for(const e of channels){
+    const tvgId = String(e?.tvgId || '').trim();
+    if(tvgId) ids.push(tvgId);
+  }
+  if(!ids.length) return;
+
+  const now = Date.now();
+  const saved = TronStore.get(__profileKey('firstSeen'), null);
+  const firstRun = !saved || typeof saved !== 'object';
+  // Reconstruit à partir de la playlist : les tvg-id retirés disparaissent de la carte
+  const seen = {};
+  let dirty = firstRun;
+  for(const id of ids){
+    if(id in seen) continue;
+    if(!firstRun && id in saved){
+      seen[id] = saved[id];
+      continue;
+    }
+    // Premier passage : tout le catalogue est "connu", rien n'est nouveau
+    seen[id] = firstRun ? 0 : now;
+    dirty = true;
+  }
+  if(!dirty && Object.keys(saved).length !== Object.keys(seen).length) dirty = true;
+  if(dirty) __saveProfileState('firstSeen', seen);
+
+  const visit = { ...(TronStore.get(__profileKey('visit'), null) || {}) };
+  if(!visit.startedAt || now - (visit.lastActiveAt || 0) > NEW_ADDITIONS_VISIT_GAP_MS) visit.startedAt = now;
+  visit.lastActiveAt = now;
+  __saveProfileState('visit', visit);
+
+  if(newAdditionsFromVisit){
+    __applyVisitNewAdditions();
+    updateNewAdditionsButtonVisibility();
+  }
+}
+
+// tvg-id apparus depuis le début de la visite en cours (les plus récents d'abord)
+function __visitNewAdditionIds(){
+  const seen = TronStore.get(__profileKey('firstSeen'), null) || {};
+  const since = TronStore.get(__profileKey('visit'), null)?.startedAt;
+  if(!since) return [];
+  return Object.entries(seen)
+    .filter(([, at]) => at && at >= since)
+    .sort((a, b) => b[1] - a[1])
+    .map(([id]) => id);
+}
+
+function __applyVisitNewAdditions(){
+  const ids = __visitNewAdditionIds().slice(0, MAX_NEW_ADDITIONS);
+  newAdditionsIds = ids;
+  newAdditionsNewIds = ids.slice();
+  newAdditionsNewIdSet = new Set(ids);
+  // Nouveaux pour ce profil : badge NEW tant que la visite dure
+  newAdditionsUpdatedAt = ids.length ? new Date().toISOString() : null;
+  __refreshNewAdditionsIsToday();
+  newAdditionsFromVisit = true;
+}
+
+// Ajouts détectés localement d'abord (plus récents), puis ceux du JSON
+function __newAdditionsIdOrder(){
+  if(!playlistAddedIds.length) return newAdditionsIds;
+  return [...new Set([...playlistAddedIds, ...newAdditionsIds])].slice(0, MAX_NEW_ADDITIONS);
+}
+
 function computeNewAdditionsIndexes(){
-  if(!newAdditionsIds.length) return [];
+  const ids = __newAdditionsIdOrder();
+  if(!ids.length) return [];
   // Préserve l'ordre du JSON (mets tes IDs du plus récent au plus ancien)
   const idToIndex = new Map();
   for(let i=0;i<channels.length;i++){
@@ -441,7 +937,7 @@ function computeNewAdditionsIndexes(){
 
   const out = [];
   const seen = new Set();
-  for(const id of newAdditionsIds){
+  for(const id of ids){
     if(seen.has(id)) continue;
     const idx = idToIndex.get(id);
     if(typeof idx === 'number') out.push(idx);
@@ -496,34 +992,135 @@ let activePlaybackMode = 'stream'; // 'stream' | 'iframe'
 
 let hlsInstance = null;
 let dashInstance = null;
+let currentEngineLabel = 'IDLE';  // HLS / DASH / VIDEO / AUDIO… (badge npBadge)
+let lastEngineError = null;        // { at, text } — affiché dans les stats
 
 let currentEntry = null;
 let externalFallbackTried = false;
 
 let offlineMode = false;
-let offlineRetryIntervalId = null;
+let offlineRetryTimerId = null;
+let offlineCountdownId = null;
+let offlineRetryAttempt = 0;       // remis à 0 sur 'playing' ou nouvelle sélection
+let offlineRetryInProgress = false; // playUrl() lancé par l'auto-retry (≠ clic utilisateur)
+let lastPlaybackError = null;       // { kind, code, label }
 let stallWatchdogIntervalId = null;
 let lastProgressTs = 0;
 
 // MP4 de secours quand un flux ne diffuse pas
 const OFFLINE_MP4_URL = 'https://raw.githubusercontent.com/vsalema/tvpt4/refs/heads/main/css/title_top.mp4';
 
+// Backoff exponentiel : 5 s, 10 s, 20 s… plafonné à 5 min, ±30 % de jitter
+const OFFLINE_RETRY_BASE_MS = 5000;
+const OFFLINE_RETRY_MAX_MS = 5 * 60 * 1000;
+const OFFLINE_RETRY_JITTER = 0.3;
+const PERMANENT_HTTP_CODES = [401, 403, 404, 410, 451];
+
+// --------- CLASSIFICATION DES ERREURS ---------
+// kind : 'permanent' (pas de retry) | 'network' | 'decode' | 'unknown'
+function __errorFromHttpCode(code) {
+  const n = Number(code) || 0;
+  if (PERMANENT_HTTP_CODES.includes(n)) return { kind: 'permanent', code: n, label: 'HTTP ' + n };
+  if (n >= 400) return { kind: 'network', code: n, label: 'HTTP ' + n };
+  return null;
+}
+
+function classifyHlsError(data) {
+  const code = data?.response?.code ?? data?.networkDetails?.status;
+  const fromHttp = __errorFromHttpCode(code);
+  if (fromHttp) return fromHttp;
+
+  const T = (window.Hls && Hls.ErrorTypes) || {};
+  const detail = data?.details || '';
+  if (data?.type === T.KEY_SYSTEM_ERROR) return { kind: 'permanent', code: 0, label: 'DRM (' + detail + ')' };
+  if (data?.type === T.NETWORK_ERROR) return { kind: 'network', code: 0, label: 'réseau (' + detail + ')' };
+  if (data?.type === T.MEDIA_ERROR) return { kind: 'decode', code: 0, label: 'décodage (' + detail + ')' };
+  return { kind: 'unknown', code: 0, label: detail || 'HLS' };
+}
+
+function classifyDashError(e) {
+  const err = e?.error || e || {};
+  const msg = String(err.message || '');
+  const code = Number(err.code) || 0;
+
+  const status = err.data?.response?.status ?? err.data?.request?.status ?? err.data?.status;
+  const fromHttp = __errorFromHttpCode(status) || __errorFromHttpCode((msg.match(/\b([45]\d\d)\b/) || [])[1]);
+  if (fromHttp) return fromHttp;
+
+  // dash.js : 100+ = protection / clés (DRM), 10/25-28 = téléchargements, 30+ = MediaSource / codecs
+  if (code >= 100 && code < 200) return { kind: 'permanent', code, label: 'DRM (' + code + ')' };
+  if (code === 10 || (code >= 25 && code <= 28) || /download|load|xhr|fetch/i.test(msg)) {
+    return { kind: 'network', code, label: 'réseau (' + (code || 'DASH') + ')' };
+  }
+  if (code >= 30 && code < 100) return { kind: 'decode', code, label: 'décodage (' + code + ')' };
+  return { kind: 'unknown', code, label: msg || 'DASH' };
+}
+
+function classifyMediaError(mediaError) {
+  const code = mediaError?.code || 0;
+  if (code === 2) return { kind: 'network', code, label: 'réseau' };
+  if (code === 3) return { kind: 'decode', code, label: 'décodage' };
+  if (code === 4) return { kind: 'permanent', code, label: 'format non supporté' };
+  return { kind: 'unknown', code, label: 'lecture' };
+}
+
 function stopOfflineAutoRetry() {
-  if (offlineRetryIntervalId) {
-    clearInterval(offlineRetryIntervalId);
-    offlineRetryIntervalId = null;
+  if (offlineRetryTimerId) {
+    clearTimeout(offlineRetryTimerId);
+    offlineRetryTimerId = null;
   }
+  if (offlineCountdownId) {
+    clearInterval(offlineCountdownId);
+    offlineCountdownId = null;
+  }
+}
+
+function resetOfflineRetryBackoff() {
+  offlineRetryAttempt = 0;
+  lastPlaybackError = null;
+}
+
+function __offlineRetryDelayMs(attempt) {
+  const raw = Math.min(OFFLINE_RETRY_MAX_MS, OFFLINE_RETRY_BASE_MS * Math.pow(2, attempt));
+  const jitter = 1 + (Math.random() * 2 - 1) * OFFLINE_RETRY_JITTER;
+  return Math.round(Math.min(OFFLINE_RETRY_MAX_MS, raw * jitter));
 }
 
-function startOfflineAutoRetry() {
+function startOfflineAutoRetry(reason) {
   stopOfflineAutoRetry();
-  // On retente régulièrement le flux original
-  offlineRetryIntervalId = setInterval(() => {
+  const err = lastPlaybackError;
+  const why = (reason || 'OFFLINE') + (err && err.label ? ' — ' + err.label : '');
+
+  // 403 / 404 / 410 / DRM… : inutile de marteler le serveur
+  if (err && err.kind === 'permanent') {
+    setStatus('OFFLINE — ' + why + ' · erreur définitive, pas de nouvelle tentative');
+    return;
+  }
+
+  const delay = __offlineRetryDelayMs(offlineRetryAttempt);
+  const dueAt = Date.now() + delay;
+  const attempt = offlineRetryAttempt + 1;
+
+  const tick = () => {
+    const left = Math.max(0, Math.ceil((dueAt - Date.now()) / 1000));
+    setStatus('OFFLINE — ' + why + ' · nouvelle tentative dans ' + left + ' s (essai ' + attempt + ')');
+  };
+  tick();
+  offlineCountdownId = setInterval(tick, 1000);
+
+  offlineRetryTimerId = setTimeout(() => {
+    stopOfflineAutoRetry();
     if (!offlineMode) return;
     if (!currentEntry || !currentEntry.url) return;
-    // Retente la lecture du flux original
-    playUrl(currentEntry);
-  }, 15000);
+    offlineRetryAttempt = attempt;
+    // Retente la chaîne depuis sa source principale (nouveau cycle sur toutes les sources)
+    offlineRetryInProgress = true;
+    try {
+      playUrl(currentEntry.__baseEntry || currentEntry);
+    } finally {
+      offlineRetryInProgress = false;
+    }
+  }, delay);
 }
 
 function startStallWatchdog() {
@@ -550,11 +1147,16 @@ function markProgress() {
   lastProgressTs = Date.now();
 }
 
-function enterOfflineMode(reason) {
+function enterOfflineMode(reason, error) {
   if (!videoEl) return;
   if (offlineMode) return;
   if (!currentEntry || !currentEntry.url) return;
 
+  if (error) lastPlaybackError = error;
+
+  // Autres sources pour la même chaîne ? On les essaie avant l'écran OFFLINE
+  if (__tryNextSource(reason)) return;
+
   offlineMode = true;
   externalFallbackTried = true; // évite les fallbacks multiples ailleurs
 
@@ -575,11 +1177,10 @@ function enterOfflineMode(reason) {
   videoEl.muted = false;
 
   videoEl.play().catch(() => {});
-  setStatus('OFFLINE' + (reason ? ' — ' + reason : ''));
 
   if (npBadge) npBadge.textContent = 'OFFLINE';
 
-  startOfflineAutoRetry();
+  startOfflineAutoRetry(reason);
 }
 
 function leaveOfflineMode() {
@@ -592,6 +1193,146 @@ function leaveOfflineMode() {
   try { if (videoEl) videoEl.muted = false; } catch {}
 }
 
+// =====================================================
+// SOURCES ALTERNATIVES (failover multi-sources par chaîne)
+// =====================================================
+// Une même chaîne existe souvent dans plusieurs listes (channels / frChannels / imports).
+// Regroupement : tvgId, puis tmdbId, sinon nom normalisé (toutes listes, imports compris) ;
+// sauf pour les films (fichier vidéo) : pas de regroupement par titre (remakes / homonymes).
+// En cas d'erreur fatale, on essaie les autres sources dans l'ordre avant le mode OFFLINE.
+let __sourceFailover = null; // { base, tried:Set<url> }
+
+function __sourceGroupKey(entry) {
+  const tvgId = String(entry?.tvgId || '').trim();
+  if (tvgId) return 'tvg:' + tvgId;
+  const tmdbId = String(entry?.tmdbId || '').trim();
+  if (tmdbId) return 'tmdb:' + tmdbId;
+  if (__isVodFileEntry(entry)) return '';
+  const n = __epgNorm(normalizeName(entry?.name || ''));
+  return n ? 'name:' + n : '';
+}
+
+// Film / VOD : fichier vidéo progressif (les chaînes live sont en HLS / DASH / TS)
+function __isVodFileEntry(entry) {
+  return /\.(mp4|m4v|mkv|avi|mov|webm)(\?|#|$)/i.test(String(entry?.url || ''));
+}
+
+// Entrées jouables partageant la même chaîne (l'entrée elle-même en premier)
+function getAlternateSources(entry) {
+  const base = entry?.__baseEntry || entry;
+  if (!base || !base.url || base.isIframe) return base ? [base] : [];
+
+  const key = __sourceGroupKey(base);
+  const out = [base];
+  const seenUrls = new Set([base.url]);
+  if (!key) return out;
+
+  for (const arr of [frChannels, channels, iframeItems]) {
+    for (const e of arr) {
+      if (!e || !e.url || e.isIframe || seenUrls.has(e.url)) continue;
+      if (__sourceGroupKey(e) !== key) continue;
+      seenUrls.add(e.url);
+      out.push(e);
+    }
+  }
+  return out;
+}
+
+// Clone de l'entrée de base avec l'URL (et métadonnées réseau) d'une source alternative.
+// L'id est conservé → la ligne reste "active" dans les listes.
+function __entryWithSource(base, alt) {
+  if (!alt || alt === base) return base;
+  return {
+    ...base,
+    url: alt.url,
+    httpHeaders: alt.httpHeaders || null,
+    drm: alt.drm || null,
+    __baseEntry: base,
+    __sourceLabel: alt.group || alt.listType || ''
+  };
+}
+
+// Appelé par playUrl : une sélection utilisateur (entrée "de base") repart de zéro
+function __noteSourceAttempt(entry) {
+  const base = entry.__baseEntry || entry;
+  if (!__sourceFailover || __sourceFailover.base !== base || !entry.__baseEntry) {
+    __sourceFailover = { base, tried: new Set() };
+  }
+  __sourceFailover.tried.add(entry.url);
+}
+
+// true si une autre source a été lancée
+function __tryNextSource(reason) {
+  if (!currentEntry || !__sourceFailover) return false;
+  const base = __sourceFailover.base;
+  if ((currentEntry.__baseEntry || currentEntry) !== base) return false;
+
+  const sources = getAlternateSources(base);
+  const nextIdx = sources.findIndex(s => !__sourceFailover.tried.has(s.url));
+  if (nextIdx === -1) return false;
+
+  console.warn('[Sources] échec (' + (reason || '?') + '), bascule vers la source ' + (nextIdx + 1) + '/' + sources.length);
+  playUrl(__entryWithSource(base, sources[nextIdx]));
+  setStatus('Source en échec — bascule ' + (nextIdx + 1) + '/' + sources.length + (reason ? ' (' + reason + ')' : ''));
+  return true;
+}
+
+function updateSourceControlsVisibility() {
+  if (!sourceGroup) return;
+  const n = currentEntry && activePlaybackMode === 'stream' ? getAlternateSources(currentEntry).length : 0;
+  sourceGroup.classList.toggle('hidden', n < 2);
+  if (sourceTrackBtn) sourceTrackBtn.title = 'Sources (' + n + ')';
+}
+
+function buildSourceMenu() {
+  if (!sourceMenu) return;
+  sourceMenu.innerHTML = '';
+
+  const header = document.createElement('div');
+  header.className = 'np-track-menu-header';
+  header.textContent = 'Sources';
+  sourceMenu.appendChild(header);
+
+  if (!currentEntry) return;
+  const base = currentEntry.__baseEntry || currentEntry;
+  const failed = __sourceFailover && __sourceFailover.base === base ? __sourceFailover.tried : new Set();
+
+  getAlternateSources(base).forEach((src, index) => {
+    const item = document.createElement('div');
+    item.className = 'np-track-item';
+    if (src.url === currentEntry.url) item.classList.add('active');
+
+    const labelEl = document.createElement('div');
+    labelEl.className = 'np-track-item-label';
+    labelEl.textContent = 'Source ' + (index + 1) + ' — ' + (src.group || src.listType || '');
+    labelEl.title = src.url;
+
+    const metaEl = document.createElement('div');
+    metaEl.className = 'np-track-item-meta';
+    let host = '';
+    try { host = new URL(src.url).host; } catch {}
+    const parts = [host];
+    if (isProbablyDash(src.url)) parts.push('DASH');
+    else if (isProbablyHls(src.url)) parts.push('HLS');
+    if (src.drm) parts.push('DRM');
+    if (failed.has(src.url) && src.url !== currentEntry.url) parts.push('échec');
+    metaEl.textContent = parts.filter(Boolean).join(' • ');
+
+    item.appendChild(labelEl);
+    item.appendChild(metaEl);
+
+    item.addEventListener('click', (ev) => {
+      ev.stopPropagation();
+      closeAllTrackMenus();
+      // Choix manuel : nouveau cycle de failover à partir de cette source
+      __sourceFailover = null;
+      playUrl(__entryWithSource(base, src));
+    });
+
+    sourceMenu.appendChild(item);
+  });
+}
+
 let activeAudioIndex = -1;
 let activeSubtitleIndex = -1;
 
@@ -675,6 +1416,7 @@ const channelFrListEl = document.getElementById('channelFrList');
 const channelListEl = document.getElementById('channelList');
 const iframeListEl = document.getElementById('iframeList');
 const favoriteListEl = document.getElementById('favoriteList');
+const historyListEl = document.getElementById('historyList');
 
 const newAdditionsContainer = document.getElementById('newAdditionsContainer');
 const newAdditionsBtn = document.getElementById('newAdditionsBtn');
@@ -728,6 +1470,10 @@ const fileInput = document.getElementById('fileInput');
 const openFileBtn = document.getElementById('openFileBtn');
 const fileNameLabel = document.getElementById('fileNameLabel');
 
+const epgUrlInput = document.getElementById('epgUrlInput');
+const loadEpgBtn = document.getElementById('loadEpgBtn');
+const epgStatusLabel = document.getElementById('epgStatusLabel');
+
 const iframeTitleInput = document.getElementById('iframeTitleInput');
 const iframeUrlInput = document.getElementById('iframeUrlInput');
 const addIframeBtn = document.getElementById('addIframeBtn');
@@ -736,6 +1482,10 @@ const exportM3uJsonBtn = document.getElementById('exportM3uJsonBtn');
 const exportIframeJsonBtn = document.getElementById('exportIframeJsonBtn');
 const importJsonBtn = document.getElementById('importJsonBtn');
 const jsonArea = document.getElementById('jsonArea');
+const backupExportBtn = document.getElementById('backupExportBtn');
+const backupImportBtn = document.getElementById('backupImportBtn');
+const backupFileInput = document.getElementById('backupFileInput');
+const backupDropZoneEl = document.querySelector('.loader-section[data-section="json"]');
 
 const toggleOverlayBtn = document.getElementById('toggleOverlayBtn');
 const fullPageBtn = document.getElementById('fullPageBtn');
@@ -766,6 +1516,12 @@ const audioTrackBtn = document.getElementById('audioTrackBtn');
 const subtitleTrackBtn = document.getElementById('subtitleTrackBtn');
 const audioTrackMenu = document.getElementById('audioTrackMenu');
 const subtitleTrackMenu = document.getElementById('subtitleTrackMenu');
+const qualityGroup = document.getElementById('qualityGroup');
+const qualityTrackBtn = document.getElementById('qualityTrackBtn');
+const qualityTrackMenu = document.getElementById('qualityTrackMenu');
+const sourceGroup = document.getElementById('sourceGroup');
+const sourceTrackBtn = document.getElementById('sourceTrackBtn');
+const sourceMenu = document.getElementById('sourceMenu');
 
 // --- Sous-titres externes (import + recherche) ---
 const subtitleFileInput = document.getElementById('subtitleFileInput');
@@ -1059,6 +1815,65 @@ function setStatus(text) {
   if (statusPill) statusPill.textContent = text;
 }
 
+// =====================================================
+// TOASTS (notifications non bloquantes, avec actions optionnelles)
+// =====================================================
+// showToast('Texte', { actions: [{ label, onClick }], timeoutMs })
+// timeoutMs = 0 → reste affiché jusqu'au clic.
+function showToast(message, opts = {}) {
+  const { actions = [], timeoutMs = 6000 } = opts;
+
+  let host = document.getElementById('tronToastHost');
+  if (!host) {
+    host = document.createElement('div');
+    host.id = 'tronToastHost';
+    host.className = 'tron-toast-host';
+    host.setAttribute('aria-live', 'polite');
+    document.body.appendChild(host);
+  }
+
+  const toast = document.createElement('div');
+  toast.className = 'tron-toast';
+
+  const msg = document.createElement('div');
+  msg.className = 'tron-toast-msg';
+  msg.textContent = String(message || '');
+  toast.appendChild(msg);
+
+  let timer = null;
+  const close = () => {
+    if (timer) clearTimeout(timer);
+    try { toast.remove(); } catch {}
+  };
+
+  const row = document.createElement('div');
+  row.className = 'tron-toast-actions';
+  for (const a of actions) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'btn btn-ghost tron-toast-btn';
+    b.textContent = a.label;
+    b.addEventListener('click', () => {
+      close();
+      try { a.onClick?.(); } catch (err) { console.warn('[Toast] action', err); }
+    });
+    row.appendChild(b);
+  }
+
+  const x = document.createElement('button');
+  x.type = 'button';
+  x.className = 'tron-toast-close';
+  x.title = 'Fermer';
+  x.textContent = '✕';
+  x.addEventListener('click', close);
+  row.appendChild(x);
+  toast.appendChild(row);
+
+  host.appendChild(toast);
+  if (timeoutMs > 0) timer = setTimeout(close, timeoutMs);
+  return close;
+}
+
 // =====================================================
 // CHROMECAST (Google Cast) — cast du flux en cours
 // ✅ Détecte la disponibilité Chromecast (à proximité)
@@ -1877,6 +2692,7 @@ let pendingRender = false;
 
 function renderLists() {
   if (suspendRender) { pendingRender = true; return; }
+  __syncSearchIndex();
   renderChannelList();
   renderChannelFrList();
   renderIframeList();
@@ -2131,8 +2947,153 @@ function flushPendingRender() {
   requestAnimationFrame(() => renderLists());
 }
 
-function refreshActiveListsUI() {
-  if (currentListType === 'channels') renderChannelList();
+// =====================================================
+// LISTES VIRTUALISÉES (seules les lignes visibles sont dans le DOM)
+// =====================================================
+// Chaque liste garde ses lignes logiques ({ entry, index, sourceType }) ; les
+// .channel-item ne sont créés que pour la fenêtre visible (+ marge), entre deux
+// espaceurs qui conservent la hauteur totale de défilement.
+const VLIST_OVERSCAN = 8;         // lignes en plus au-dessus / en dessous
+const VLIST_DEFAULT_PITCH = 82;   // pas estimé d'une ligne (px), corrigé à la 1re mesure
+const __vlists = new WeakMap();   // listEl -> état
+
+function __vlistState(listEl) {
+  let st = __vlists.get(listEl);
+  if (st) return st;
+
+  st = {
+    rows: [],
+    makeNode: null,
+    nodes: new Map(),   // index de ligne -> élément matérialisé
+    start: 0,
+    end: 0,
+    pitch: VLIST_DEFAULT_PITCH,
+    topPad: document.createElement('div'),
+    bottomPad: document.createElement('div'),
+    raf: 0
+  };
+  st.topPad.className = 'vlist-pad';
+  st.bottomPad.className = 'vlist-pad';
+  __vlists.set(listEl, st);
+
+  listEl.addEventListener('scroll', () => __vlistSchedule(listEl), { passive: true });
+  if ('ResizeObserver' in window) {
+    try { new ResizeObserver(() => __vlistSchedule(listEl)).observe(listEl); } catch {}
+  }
+  return st;
+}
+
+function __vlistSchedule(listEl) {
+  const st = __vlists.get(listEl);
+  if (!st || st.raf) return;
+  st.raf = requestAnimationFrame(() => {
+    st.raf = 0;
+    __vlistUpdate(listEl);
+  });
+}
+
+// Une ligne sortie de la fenêtre ne doit plus être observée (sinon l'observer la garde en vie)
+function __vlistReleaseNode(node) {
+  if (!__posterObserver || !node?.querySelectorAll) return;
+  node.querySelectorAll('img').forEach(img => {
+    try { __posterObserver.unobserve(img); } catch {}
+  });
+}
+
+// Recalcule la fenêtre [start, end) d'après le scroll, retire / crée les lignes nécessaires
+function __vlistUpdate(listEl, force = false, measure = true) {
+  const st = __vlists.get(listEl);
+  if (!st || !st.makeNode) return;
+
+  const total = st.rows.length;
+  const viewH = listEl.clientHeight || window.innerHeight || 800;
+  const y = Math.max(0, listEl.scrollTop - st.topPad.offsetTop);
+  const first = Math.floor(y / st.pitch);
+  const start = Math.max(0, Math.min(total, first - VLIST_OVERSCAN));
+  const end = Math.min(total, first + Math.ceil(viewH / st.pitch) + VLIST_OVERSCAN);
+  if (!force && start === st.start && end === st.end) return;
+
+  for (const [i, node] of st.nodes) {
+    if (i >= start && i < end) continue;
+    __vlistReleaseNode(node);
+    node.remove();
+    st.nodes.delete(i);
+  }
+
+  // Insertion à rebours : chaque ligne se place avant la suivante (ordre conservé)
+  let anchor = st.bottomPad;
+  for (let i = end - 1; i >= start; i--) {
+    let node = st.nodes.get(i);
+    if (!node) {
+      node = st.makeNode(st.rows[i], i);
+      st.nodes.set(i, node);
+      listEl.insertBefore(node, anchor);
+    }
+    anchor = node;
+  }
+
+  st.start = start;
+  st.end = end;
+  st.topPad.style.height = (start * st.pitch) + 'px';
+  st.bottomPad.style.height = ((total - end) * st.pitch) + 'px';
+
+  // Pas réel (marges comprises, moyenne sur la fenêtre) → une seule correction
+  if (measure && end - start >= 2) {
+    const a = st.nodes.get(start);
+    const b = st.nodes.get(end - 1);
+    const pitch = (b.offsetTop - a.offsetTop) / (end - 1 - start);
+    if (pitch > 8 && Math.abs(pitch - st.pitch) > 1) {
+      st.pitch = pitch;
+      __vlistUpdate(listEl, true, false);
+    }
+  }
+}
+
+// Remplace le contenu de listEl ; headerEls = nœuds fixes affichés avant les lignes
+function renderVirtualList(listEl, rows, makeNode, headerEls = []) {
+  const st = __vlistState(listEl);
+  const prevScroll = listEl.scrollTop;
+
+  for (const node of st.nodes.values()) __vlistReleaseNode(node);
+  st.nodes.clear();
+  st.rows = rows;
+  st.makeNode = makeNode;
+  st.start = 0;
+  st.end = 0;
+
+  listEl.innerHTML = '';
+  headerEls.forEach(el => listEl.appendChild(el));
+  st.topPad.style.height = '0px';
+  st.bottomPad.style.height = (rows.length * st.pitch) + 'px';
+  listEl.appendChild(st.topPad);
+  listEl.appendChild(st.bottomPad);
+
+  // Un re-render (recherche, refresh silencieux) ne doit pas ramener en haut
+  listEl.scrollTop = prevScroll;
+  __vlistUpdate(listEl, true);
+}
+
+// Lignes logiques d'une liste (y compris celles non matérialisées)
+function getVirtualListRows(listEl) {
+  return __vlists.get(listEl)?.rows || [];
+}
+
+// Amène la 1re ligne qui satisfait pred dans la fenêtre et retourne son élément
+function __vlistRevealRow(listEl, pred) {
+  const st = __vlists.get(listEl);
+  if (!st) return null;
+  const i = st.rows.findIndex(pred);
+  if (i < 0) return null;
+  if (!st.nodes.has(i)) {
+    listEl.scrollTop = st.topPad.offsetTop + i * st.pitch - listEl.clientHeight / 2;
+    __vlistUpdate(listEl, true);
+  }
+  return st.nodes.get(i) || null;
+}
+
+function refreshActiveListsUI() {
+  if (historyListEl?.classList.contains('active')) renderHistoryList();
+  if (currentListType === 'channels') renderChannelList();
   else if (currentListType === 'fr') renderChannelFrList();
   else if (currentListType === 'iframe') renderIframeList();
   else if (currentListType === 'favorites') renderFavoritesList();
@@ -2145,20 +3106,21 @@ function refreshActiveListsUI() {
 
 function renderChannelFrList() {
   if (!channelFrListEl) return;
-  channelFrListEl.innerHTML = '';
+  const rows = [];
   frChannels.forEach((ch, idx) => {
-    if (!matchesSearch(ch)) return;
-    channelFrListEl.appendChild(createChannelElement(ch, idx, 'fr', { enableTmdbPoster: false }));
+    if (__isListedEntry(ch)) rows.push({ entry: ch, index: idx, sourceType: 'fr' });
   });
+  renderVirtualList(channelFrListEl, rows, (row) => createChannelElement(row.entry, row.index, 'fr', { enableTmdbPoster: false }));
 }
 
 function renderChannelList() {
   if (!channelListEl) return;
-  channelListEl.innerHTML = '';
 
   // Bouton visible uniquement sur l'onglet Films
   updateNewAdditionsButtonVisibility();
 
+  const makeFilmNode = (row) => createChannelElement(row.entry, row.index, 'channels', { enableTmdbPoster: true });
+
   // Mode "Derniers ajouts" : on affiche seulement les items dont tvg-id est dans le JSON
   if (newAdditionsMode) {
     const header = document.createElement('div');
@@ -2187,7 +3149,6 @@ function renderChannelList() {
 
     header.appendChild(title);
     header.appendChild(backBtn);
-    channelListEl.appendChild(header);
 
     const idxs = computeNewAdditionsIndexes();
     if (!idxs.length) {
@@ -2205,48 +3166,50 @@ function renderChannelList() {
         hint.style.whiteSpace = 'pre-wrap';
         hint.style.wordBreak = 'break-word';
         hint.textContent = 'IDs: ' + newAdditionsIds.join(', ');
-        channelListEl.appendChild(empty);
-        channelListEl.appendChild(hint);
+        renderVirtualList(channelListEl, [], makeFilmNode, [header, empty, hint]);
         return;
       }
       empty.textContent = 'Aucun nouveau film pour le moment 🎞️';
-      channelListEl.appendChild(empty);
+      renderVirtualList(channelListEl, [], makeFilmNode, [header, empty]);
       return;
     }
 
+    const rows = [];
     idxs.forEach((idx) => {
       const ch = channels[idx];
       if (!ch) return;
-      if (!matchesSearch(ch)) return;
-      channelListEl.appendChild(createChannelElement(ch, idx, 'channels', { enableTmdbPoster: true }));
+      if (!__isListedEntry(ch)) return;
+      rows.push({ entry: ch, index: idx, sourceType: 'channels' });
     });
+    renderVirtualList(channelListEl, rows, makeFilmNode, [header]);
     return;
   }
 
+  const rows = [];
   channels.forEach((ch, idx) => {
-    if (!matchesSearch(ch)) return;
-    channelListEl.appendChild(createChannelElement(ch, idx, 'channels', { enableTmdbPoster: true }));
+    if (__isListedEntry(ch)) rows.push({ entry: ch, index: idx, sourceType: 'channels' });
   });
+  renderVirtualList(channelListEl, rows, makeFilmNode);
 }
 
 function renderIframeList() {
   if (!iframeListEl) return;
-  iframeListEl.innerHTML = '';
+  const rows = [];
   iframeItems.forEach((it, idx) => {
-    if (!matchesSearch(it)) return;
-    iframeListEl.appendChild(createChannelElement(it, idx, 'iframe', { enableTmdbPoster: false }));
+    if (__isListedEntry(it)) rows.push({ entry: it, index: idx, sourceType: 'iframe' });
   });
+  renderVirtualList(iframeListEl, rows, (row) => createChannelElement(row.entry, row.index, 'iframe', { enableTmdbPoster: false }));
 }
 
 function renderFavoritesList() {
   if (!favoriteListEl) return;
-  favoriteListEl.innerHTML = '';
 
+  // Source de vérité : favoriteStore (persisté), pas le flag en mémoire
   const favs = [
-    ...channels.filter(c => c.isFavorite).map(e => ({ entry: e, sourceType: 'channels' })),
-    ...frChannels.filter(c => c.isFavorite).map(e => ({ entry: e, sourceType: 'fr' })),
-    ...iframeItems.filter(i => i.isFavorite).map(e => ({ entry: e, sourceType: 'iframe' }))
-  ].filter(({ entry }) => matchesSearch(entry));
+    ...channels.filter(isFavoriteEntry).map(e => ({ entry: e, sourceType: 'channels' })),
+    ...frChannels.filter(isFavoriteEntry).map(e => ({ entry: e, sourceType: 'fr' })),
+    ...iframeItems.filter(isFavoriteEntry).map(e => ({ entry: e, sourceType: 'iframe' }))
+  ].filter(({ entry }) => __isListedEntry(entry));
 
   favoritesView = favs.map(({ entry, sourceType }) => {
     let sourceIndex = -1;
@@ -2259,8 +3222,9 @@ function renderFavoritesList() {
   // sync curseur favoris sur l’entrée réellement en lecture
   currentFavPos = currentEntry?.id ? favoritesView.findIndex(x => x.id === currentEntry.id) : -1;
 
-  favoritesView.forEach((item, pos) => {
-    const el = createChannelElement(item.entry, item.sourceIndex, item.sourceType, { enableTmdbPoster: false });
+  const rows = favoritesView.map(item => ({ entry: item.entry, index: item.sourceIndex, sourceType: item.sourceType }));
+  renderVirtualList(favoriteListEl, rows, (row, pos) => {
+    const el = createChannelElement(row.entry, row.index, row.sourceType, { enableTmdbPoster: false });
     el.dataset.favpos = String(pos);
 
     el.addEventListener('click', () => {
@@ -2268,13 +3232,13 @@ function renderFavoritesList() {
       currentFavPos = pos;
 
       // ✅ on joue directement l’entrée (currentEntry est la source de vérité)
-      playUrl(item.entry);
+      playUrl(row.entry);
       refreshActiveListsUI();
       renderFavoritesList();
       scrollToActiveItem();
     });
 
-    favoriteListEl.appendChild(el);
+    return el;
   });
 }
 
@@ -2345,42 +3309,28 @@ function __extractQualityChips(rawName) {
 // et d'en déduire résolution max + codec (H264/HEVC/AV1).
 // ⚠️ Ça ne marche que si la ressource autorise le fetch cross-origin (CORS).
 const __mpdQualityMemCache = new Map(); // url -> { chips: string[], lang?: string, ts: number }
-const __MPD_CACHE_LS_KEY = 'tronAresMpdQualityCacheV1';
 const __MPD_CACHE_TTL_MS = 1000 * 60 * 60 * 24 * 14; // 14 jours
 
-function __loadMpdQualityCacheFromLS() {
+// Persisté via TronStore (clé kv 'mpdQualityCache') : url -> { chips, lang?, ts }
+function __loadMpdQualityCache() {
   try {
-    const raw = localStorage.getItem(__MPD_CACHE_LS_KEY);
-    if (!raw) return;
-    const obj = JSON.parse(raw);
+    const obj = TronStore.get('mpdQualityCache', null);
     if (!obj || typeof obj !== 'object') return;
     const now = Date.now();
     for (const [url, v] of Object.entries(obj)) {
       if (!v || typeof v !== 'object') continue;
       if (v.ts && (now - v.ts) > __MPD_CACHE_TTL_MS) continue;
-      if (Array.isArray(v.chips)) {
+      if (Array.isArray(v.chips) && !__mpdQualityMemCache.has(url)) {
         v.chips = __uniquePreserveOrder(v.chips);
         __mpdQualityMemCache.set(url, v);
       }
     }
   } catch {}
 }
-function __saveMpdQualityCacheToLSThrottled() {
-  // on sauvegarde rarement pour éviter de bloquer l'UI
-  if (__saveMpdQualityCacheToLSThrottled._t) return;
-  __saveMpdQualityCacheToLSThrottled._t = setTimeout(() => {
-    __saveMpdQualityCacheToLSThrottled._t = null;
-    try {
-      const out = {};
-      for (const [url, v] of __mpdQualityMemCache.entries()) {
-        // limite de taille soft
-        out[url] = v;
-      }
-      localStorage.setItem(__MPD_CACHE_LS_KEY, JSON.stringify(out));
-    } catch {}
-  }, 1200);
+function __saveMpdQualityCache() {
+  TronStore.set('mpdQualityCache', Object.fromEntries(__mpdQualityMemCache));
 }
-__loadMpdQualityCacheFromLS();
+TronStore.ready.then(__loadMpdQualityCache);
 // --------- AFFICHAGE QUALITÉ DANS LE FOOTER (helper-text) ---------
 // Objectif : éviter d'ajouter des tags dans chaque channel-item (trop serré sur mobile).
 // On affiche la qualité du FILM sélectionné dans la zone helper-text (en bas).
@@ -2444,7 +3394,7 @@ function __updateHelperTextForEntry(entry) {
   // Sinon : placeholder + fetch MPD
   __setHelperTextHTML('Qualité : <span>…</span>');
 
-  __getMpdQualityChips(url).then((chips) => {
+  __getMpdQualityChips(url, entry?.httpHeaders).then((chips) => {
     // Ne pas écraser si l'utilisateur a changé de film
     if (!currentEntry || currentEntry.id !== entry.id) return;
     if (chips && chips.length) __setHelperTextHTML('Qualité : <span>' + __formatQualityText(chips) + '</span>');
@@ -2550,7 +3500,7 @@ function __parseMpdQualityChips(mpdXmlText) {
   return __uniquePreserveOrder(chips).slice(0, 6);
 }
 
-async function __getMpdQualityChips(url) {
+async function __getMpdQualityChips(url, headers = null) {
   const u = String(url || '');
   if (!__looksLikeDashMpdUrl(u)) return [];
   const now = Date.now();
@@ -2561,13 +3511,13 @@ async function __getMpdQualityChips(url) {
   }
 
   // fetch MPD (CORS requis)
-  const res = await fetch(u, { method: 'GET', credentials: 'omit', cache: 'force-cache' });
+  const res = await fetch(__relayUrlFor(u, headers), { method: 'GET', credentials: 'omit', cache: 'force-cache' });
   if (!res.ok) throw new Error('HTTP ' + res.status);
   const xml = await res.text();
   const chips = __uniquePreserveOrder(__parseMpdQualityChips(xml));
 
   __mpdQualityMemCache.set(u, { chips, ts: now });
-  __saveMpdQualityCacheToLSThrottled();
+  __saveMpdQualityCache();
   return chips;
 }
 
@@ -2593,6 +3543,9 @@ function createChannelElement(entry, index, sourceType, options) {
   // ✅ Une seule source de vérité pour "active"
   const isActive = !!currentEntry && currentEntry.id === entry.id;
   if (isActive) li.classList.add('active');
+  // 🔒 Contrôle parental (mode "verrouiller") : visible, mais PIN demandé à la lecture
+  const isLocked = isEntryRestricted(entry);
+  if (isLocked) li.classList.add('channel-locked');
 
   const logoDiv = document.createElement('div');
   logoDiv.className = 'channel-logo';
@@ -2615,7 +3568,7 @@ function createChannelElement(entry, index, sourceType, options) {
 
   const titleDiv = document.createElement('div');
   titleDiv.className = 'channel-title';
-  titleDiv.textContent = normalizeName(entry.name);
+  setHighlightedText(titleDiv, normalizeName(entry.name), searchTermsForField('name'));
   // Tooltip titre complet (utile quand c'est tronqué)
   try { titleDiv.title = String(entry.name || ''); } catch {}
   // ℹ️ Clic sur le titre : fiche TMDb (même infos que la vitrine)
@@ -2644,7 +3597,8 @@ function createChannelElement(entry, index, sourceType, options) {
 
   const subDiv = document.createElement('div');
   subDiv.className = 'channel-sub';
-  subDiv.textContent = entry.group || (entry.isIframe ? 'Overlay / iFrame' : 'Flux M3U');
+  if (entry.group) setHighlightedText(subDiv, entry.group, searchTermsForField('group'));
+  else subDiv.textContent = entry.isIframe ? 'Overlay / iFrame' : 'Flux M3U';
 
   const tagsDiv = document.createElement('div');
   tagsDiv.className = 'channel-tags';
@@ -2656,6 +3610,13 @@ function createChannelElement(entry, index, sourceType, options) {
   tag.textContent = showIframe ? 'IFRAME' : 'STREAM';
   tagsDiv.appendChild(tag);
 
+  if (isLocked) {
+    const lockTag = document.createElement('div');
+    lockTag.className = 'tag-chip tag-chip--locked';
+    lockTag.textContent = '🔒 ' + (entry.tvgCertification || 'Bloqué');
+    tagsDiv.appendChild(lockTag);
+  }
+
   if (isYoutubeUrl(entry.url)) {
     const ytTag = document.createElement('div');
     ytTag.className = 'tag-chip tag-chip--iframe';
@@ -2665,6 +3626,11 @@ function createChannelElement(entry, index, sourceType, options) {
 
   metaDiv.appendChild(titleRow);
   metaDiv.appendChild(subDiv);
+  // 🔎 Champs trouvés par la recherche (casting, réalisateur, année, âge)
+  const matchNode = __createSearchMatchNode(entry);
+  if (matchNode) metaDiv.appendChild(matchNode);
+  // 📺 EPG now / next (si un guide XMLTV couvre cette chaîne)
+  if (epgIndex.size && !entry.isIframe) metaDiv.appendChild(createEpgNode(entry));
   metaDiv.appendChild(tagsDiv);
 
   const actionsDiv = document.createElement('div');
@@ -2690,12 +3656,12 @@ function createChannelElement(entry, index, sourceType, options) {
   favBtn.className = 'icon-btn fav-btn';
   favBtn.innerHTML = '★';
   favBtn.title = 'Ajouter / enlever des favoris';
-  favBtn.dataset.fav = entry.isFavorite ? 'true' : 'false';
+  favBtn.dataset.fav = isFavoriteEntry(entry) ? 'true' : 'false';
 
   favBtn.addEventListener('click', (ev) => {
     ev.stopPropagation();
-    entry.isFavorite = !entry.isFavorite;
-    favBtn.dataset.fav = entry.isFavorite ? 'true' : 'false';
+    const fav = toggleFavoriteEntry(entry);
+    favBtn.dataset.fav = fav ? 'true' : 'false';
     refreshActiveListsUI();
     renderFavoritesList();
   });
@@ -2769,7 +3735,7 @@ function updateNowPlaying(entry, modeLabel) {
   }
 
   npTitle.textContent = normalizeName(entry.name);
-  npSub.textContent = entry.group || (entry.isIframe ? 'Overlay / iFrame' : 'Flux M3U');
+  npSub.textContent = __npSubTextForEntry(entry);
   npBadge.textContent = modeLabel;
 }
 
@@ -2883,6 +3849,8 @@ function updateNowPlayingCounter() {
 function closeAllTrackMenus() {
   audioTrackMenu?.classList.remove('open');
   subtitleTrackMenu?.classList.remove('open');
+  sourceMenu?.classList.remove('open');
+  qualityTrackMenu?.classList.remove('open');
 }
 
 function buildAudioTrackMenu() {
@@ -3251,8 +4219,14 @@ function buildSubtitleTrackMenu() {
 function updateTrackControlsVisibility() {
   if (!npTracks) return;
 
+  // Qualité : dès qu'un moteur adaptatif (HLS / DASH) est actif, films ou chaînes
+  const adaptive = !!(hlsInstance || dashInstance);
+  qualityGroup?.classList.toggle('hidden', !adaptive);
+
   if (!isMovieContext()) {
-    npTracks.classList.add('hidden');
+    audioGroup?.classList.add('hidden');
+    subtitleGroup?.classList.add('hidden');
+    npTracks.classList.toggle('hidden', !adaptive);
     return;
   }
 
@@ -3262,6 +4236,8 @@ function updateTrackControlsVisibility() {
 }
 
 function refreshTrackMenus() {
+  buildQualityMenu();
+
   // Track menus are only shown for "Channel/Live" context in this project
   if (!isMovieContext()) {
     audioTrackMenu.innerHTML = '';
@@ -3279,6 +4255,439 @@ function refreshTrackMenus() {
 }
 
 
+// =====================================================
+// QUALITÉ VIDÉO (renditions HLS / DASH + "Auto")
+// =====================================================
+// Préférence persistée : hauteur max (0 = Auto sans plafond).
+// Choisir une rendition la verrouille pour le flux courant et devient le plafond
+// des flux suivants (ABR actif en dessous).
+// Par profil : 'maxHeight' (ex-localStorage 'tronAresMaxHeight'), rechargé par activateProfile.
+let preferredMaxHeight = 0;
+
+function __loadPreferredMaxHeight() {
+  preferredMaxHeight = Number(TronStore.get(__profileKey('maxHeight'), 0)) || 0;
+}
+
+function __setPreferredMaxHeight(h) {
+  preferredMaxHeight = Number(h) || 0;
+  const pk = __profileKey('maxHeight');
+  if (!pk) return;
+  if (preferredMaxHeight) TronStore.set(pk, preferredMaxHeight);
+  else TronStore.delete(pk);
+}
+
+// Renditions vidéo normalisées : [{ index, height, width, bitrate, codecs }]
+function getVideoRenditions() {
+  if (hlsInstance && Array.isArray(hlsInstance.levels)) {
+    return hlsInstance.levels.map((l, index) => ({
+      index,
+      height: Number(l.height) || 0,
+      width: Number(l.width) || 0,
+      bitrate: Number(l.bitrate) || 0,
+      codecs: l.videoCodec || l.codecSet || ''
+    }));
+  }
+
+  if (dashInstance) {
+    // dash.js v5
+    if (typeof dashInstance.getRepresentationsByType === 'function') {
+      return (dashInstance.getRepresentationsByType('video') || []).map((r, i) => ({
+        index: Number.isInteger(r.absoluteIndex) ? r.absoluteIndex : i,
+        height: Number(r.height) || 0,
+        width: Number(r.width) || 0,
+        bitrate: Number(r.bandwidth || r.bitrateInKbit * 1000) || 0,
+        codecs: r.codecs || ''
+      }));
+    }
+    // dash.js v3 / v4
+    if (typeof dashInstance.getBitrateInfoListFor === 'function') {
+      return (dashInstance.getBitrateInfoListFor('video') || []).map((b, i) => ({
+        index: Number.isInteger(b.qualityIndex) ? b.qualityIndex : i,
+        height: Number(b.height) || 0,
+        width: Number(b.width) || 0,
+        bitrate: Number(b.bitrate) || 0,
+        codecs: ''
+      }));
+    }
+  }
+  return [];
+}
+
+// { auto:boolean, index:number } (index = rendition en cours de lecture)
+function __getActiveRendition() {
+  if (hlsInstance) {
+    return { auto: !!hlsInstance.autoLevelEnabled, index: hlsInstance.currentLevel };
+  }
+  if (dashInstance) {
+    let auto = true;
+    try { auto = dashInstance.getSettings().streaming.abr.autoSwitchBitrate.video !== false; } catch {}
+    let index = -1;
+    try {
+      if (typeof dashInstance.getCurrentRepresentationForType === 'function') {
+        const r = dashInstance.getCurrentRepresentationForType('video');
+        index = Number.isInteger(r?.absoluteIndex) ? r.absoluteIndex : -1;
+      } else if (typeof dashInstance.getQualityFor === 'function') {
+        index = dashInstance.getQualityFor('video');
+      }
+    } catch {}
+    return { auto, index };
+  }
+  return { auto: true, index: -1 };
+}
+
+function __dashSetAbr(autoVideo, maxBitrateKbps) {
+  try {
+    dashInstance.updateSettings({
+      streaming: {
+        abr: {
+          autoSwitchBitrate: { video: autoVideo },
+          maxBitrate: { video: maxBitrateKbps > 0 ? maxBitrateKbps : -1 }
+        }
+      }
+    });
+  } catch (e) {
+    console.warn('[Qualité] dash settings', e);
+  }
+}
+
+// Plafond ABR selon preferredMaxHeight (appelé quand le manifest est prêt)
+function applyPreferredMaxHeight() {
+  const list = getVideoRenditions();
+  if (!list.length) return;
+
+  const allowed = preferredMaxHeight
+    ? list.filter(r => r.height && r.height <= preferredMaxHeight)
+    : [];
+
+  if (hlsInstance) {
+    const capIdx = allowed.length
+      ? allowed.reduce((best, r) => (r.bitrate > best.bitrate ? r : best)).index
+      : -1;
+    hlsInstance.autoLevelCapping = capIdx;
+  } else if (dashInstance) {
+    const maxKbps = allowed.length ? Math.ceil(Math.max(...allowed.map(r => r.bitrate)) / 1000) : -1;
+    __dashSetAbr(true, maxKbps);
+  }
+}
+
+function setVideoRendition(index) {
+  const list = getVideoRenditions();
+
+  if (index < 0) {
+    // Auto : ABR complet, plus de plafond
+    __setPreferredMaxHeight(0);
+    if (hlsInstance) {
+      hlsInstance.autoLevelCapping = -1;
+      hlsInstance.currentLevel = -1;
+    } else if (dashInstance) {
+      __dashSetAbr(true, -1);
+    }
+    setStatus('Qualité : Auto');
+    buildQualityMenu();
+    return;
+  }
+
+  const r = list.find(x => x.index === index);
+  if (!r) return;
+  if (r.height) __setPreferredMaxHeight(r.height);
+
+  if (hlsInstance) {
+    hlsInstance.autoLevelCapping = -1;
+    hlsInstance.currentLevel = index;
+  } else if (dashInstance) {
+    __dashSetAbr(false, -1);
+    try {
+      if (typeof dashInstance.setRepresentationForTypeByIndex === 'function') {
+        dashInstance.setRepresentationForTypeByIndex('video', index, true);
+      } else if (typeof dashInstance.setQualityFor === 'function') {
+        dashInstance.setQualityFor('video', index, true);
+      }
+    } catch (e) {
+      console.warn('[Qualité] dash switch', e);
+    }
+  }
+
+  setStatus('Qualité : ' + __renditionLabel(r));
+  buildQualityMenu();
+}
+
+function __renditionLabel(r) {
+  if (!r) return '—';
+  return r.height ? (r.height + 'p') : (r.width ? r.width + 'w' : 'Niveau ' + (r.index + 1));
+}
+
+function __formatVideoBitrate(bps) {
+  const n = Number(bps);
+  if (!Number.isFinite(n) || n <= 0) return '';
+  if (n >= 1000 * 1000) return (n / (1000 * 1000)).toFixed(1) + ' Mbps';
+  return Math.round(n / 1000) + ' kbps';
+}
+
+function buildQualityMenu() {
+  if (!qualityTrackMenu) return;
+  qualityTrackMenu.innerHTML = '';
+
+  const header = document.createElement('div');
+  header.className = 'np-track-menu-header';
+  header.textContent = 'Qualité';
+  qualityTrackMenu.appendChild(header);
+
+  const list = getVideoRenditions().slice().sort((a, b) => (b.height - a.height) || (b.bitrate - a.bitrate));
+  const active = __getActiveRendition();
+  const playing = list.find(r => r.index === active.index);
+
+  const addItem = (label, meta, isActive, onClick) => {
+    const item = document.createElement('div');
+    item.className = 'np-track-item';
+    if (isActive) item.classList.add('active');
+
+    const labelEl = document.createElement('div');
+    labelEl.className = 'np-track-item-label';
+    labelEl.textContent = label;
+    const metaEl = document.createElement('div');
+    metaEl.className = 'np-track-item-meta';
+    metaEl.textContent = meta;
+
+    item.appendChild(labelEl);
+    item.appendChild(metaEl);
+    item.addEventListener('click', (ev) => {
+      ev.stopPropagation();
+      onClick();
+      closeAllTrackMenus();
+    });
+    qualityTrackMenu.appendChild(item);
+  };
+
+  const autoMeta = [
+    playing ? 'actuel : ' + __renditionLabel(playing) : '',
+    preferredMaxHeight ? 'max ' + preferredMaxHeight + 'p' : ''
+  ].filter(Boolean).join(' • ');
+  addItem('Auto', autoMeta, active.auto, () => setVideoRendition(-1));
+
+  if (!list.length) {
+    const emptyItem = document.createElement('div');
+    emptyItem.className = 'np-track-item';
+    emptyItem.style.opacity = '0.7';
+    emptyItem.style.pointerEvents = 'none';
+    emptyItem.textContent = 'Aucune rendition détectée';
+    qualityTrackMenu.appendChild(emptyItem);
+  }
+
+  list.forEach((r) => {
+    const meta = [__formatVideoBitrate(r.bitrate), __codecLabelFromCodecs(r.codecs)].filter(Boolean).join(' • ');
+    addItem(__renditionLabel(r), meta, !active.auto && r.index === active.index, () => setVideoRendition(r.index));
+  });
+
+  if (qualityTrackBtn) {
+    qualityTrackBtn.title = 'Qualité vidéo' + (playing ? ' (' + __renditionLabel(playing) + (active.auto ? ', auto' : '') + ')' : '');
+  }
+}
+
+// =====================================================
+// 📊 STATS POUR NERDS (overlay au-dessus de videoEl)
+// =====================================================
+const STATS_REFRESH_MS = 1000;
+
+const statsOverlay = document.getElementById('statsOverlay');
+const statsToggleBtn = document.getElementById('statsToggleBtn');
+
+let __statsTimer = null;
+
+function __noteEngineError(engine, info, fatal) {
+  lastEngineError = {
+    at: Date.now(),
+    text: engine + (fatal ? ' (fatal)' : '') + ' — ' + (info?.label || 'erreur')
+  };
+}
+
+function __bufferAheadSec() {
+  if (!videoEl) return 0;
+  const t = videoEl.currentTime;
+  const b = videoEl.buffered;
+  for (let i = 0; i < b.length; i++) {
+    if (b.start(i) <= t + 0.1 && t <= b.end(i)) return Math.max(0, b.end(i) - t);
+  }
+  return 0;
+}
+
+function __currentVideoBitrate() {
+  try {
+    if (hlsInstance) {
+      const lvl = hlsInstance.levels?.[hlsInstance.currentLevel];
+      return lvl ? Number(lvl.bitrate) || 0 : 0;
+    }
+    if (dashInstance) {
+      if (typeof dashInstance.getCurrentRepresentationForType === 'function') {
+        return Number(dashInstance.getCurrentRepresentationForType('video')?.bandwidth) || 0;
+      }
+      if (typeof dashInstance.getQualityFor === 'function') {
+        const q = dashInstance.getQualityFor('video');
+        return Number(dashInstance.getBitrateInfoListFor('video')?.[q]?.bitrate) || 0;
+      }
+    }
+  } catch {}
+  return 0;
+}
+
+// bps
+function __estimatedBandwidth() {
+  try {
+    if (hlsInstance) return Number(hlsInstance.bandwidthEstimate) || 0;
+    if (dashInstance && typeof dashInstance.getAverageThroughput === 'function') {
+      return (Number(dashInstance.getAverageThroughput('video')) || 0) * 1000; // kbps → bps
+    }
+  } catch {}
+  return 0;
+}
+
+// secondes, ou NaN si non live / inconnu
+function __liveLatencySec() {
+  try {
+    if (hlsInstance && Number.isFinite(hlsInstance.latency) && hlsInstance.latency > 0) return hlsInstance.latency;
+    if (dashInstance && typeof dashInstance.getCurrentLiveLatency === 'function') {
+      const l = Number(dashInstance.getCurrentLiveLatency());
+      if (Number.isFinite(l) && l > 0) return l;
+    }
+  } catch {}
+  return NaN;
+}
+
+function __statsRows() {
+  const engine = activePlaybackMode === 'iframe' ? 'IFRAME' : (offlineMode ? 'OFFLINE' : currentEngineLabel);
+  const w = videoEl?.videoWidth || 0;
+  const h = videoEl?.videoHeight || 0;
+
+  let dropped = '—';
+  try {
+    const q = videoEl?.getVideoPlaybackQuality?.();
+    if (q) dropped = q.droppedVideoFrames + ' / ' + q.totalVideoFrames;
+  } catch {}
+
+  const latency = __liveLatencySec();
+  const err = lastEngineError
+    ? lastEngineError.text + ' (' + new Date(lastEngineError.at).toLocaleTimeString('fr-FR') + ')'
+    : '—';
+
+  return [
+    ['Moteur', engine || '—'],
+    ['Résolution', w && h ? (w + '×' + h) : '—'],
+    ['Débit vidéo', __formatVideoBitrate(__currentVideoBitrate()) || '—'],
+    ['Buffer', __bufferAheadSec().toFixed(1) + ' s'],
+    ['Images perdues', dropped],
+    ['Bande passante est.', __formatVideoBitrate(__estimatedBandwidth()) || '—'],
+    ['Latence live', Number.isFinite(latency) ? latency.toFixed(1) + ' s' : '—'],
+    ['Dernière erreur', err]
+  ];
+}
+
+function renderStatsOverlay() {
+  if (!statsOverlay) return;
+  statsOverlay.innerHTML = '';
+  for (const [k, v] of __statsRows()) {
+    const row = document.createElement('div');
+    row.className = 'stats-row';
+    const kEl = document.createElement('span');
+    kEl.className = 'stats-key';
+    kEl.textContent = k;
+    const vEl = document.createElement('span');
+    vEl.className = 'stats-val';
+    vEl.textContent = v;
+    row.appendChild(kEl);
+    row.appendChild(vEl);
+    statsOverlay.appendChild(row);
+  }
+}
+
+function toggleStatsOverlay(force) {
+  if (!statsOverlay) return;
+  const show = (typeof force === 'boolean') ? force : statsOverlay.classList.contains('hidden');
+  statsOverlay.classList.toggle('hidden', !show);
+  statsOverlay.setAttribute('aria-hidden', show ? 'false' : 'true');
+  statsToggleBtn?.classList.toggle('active', show);
+
+  if (__statsTimer) {
+    clearInterval(__statsTimer);
+    __statsTimer = null;
+  }
+  if (show) {
+    renderStatsOverlay();
+    __statsTimer = setInterval(renderStatsOverlay, STATS_REFRESH_MS);
+  }
+}
+
+statsToggleBtn?.addEventListener('click', () => toggleStatsOverlay());
+
+// =====================================================
+// DRM (ClearKey / Widevine / PlayReady) — depuis entry.drm (#KODIPROP)
+// =====================================================
+const __DRM_KEY_SYSTEMS = {
+  clearkey: 'org.w3.clearkey',
+  widevine: 'com.widevine.alpha',
+  playready: 'com.microsoft.playready'
+};
+
+function __hexToB64url(hex) {
+  const clean = String(hex || '').replace(/[^0-9a-f]/gi, '');
+  let bin = '';
+  for (let i = 0; i + 1 < clean.length; i += 2) bin += String.fromCharCode(parseInt(clean.slice(i, i + 2), 16));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Licence ClearKey "en ligne" : réponse JSON servie par une data: URL
+// (hls.js exige une URL de licence même quand les clés sont connues)
+function __clearKeyLicenseDataUrl(keys) {
+  const json = {
+    keys: Object.entries(keys || {}).map(([kid, k]) => ({ kty: 'oct', kid: __hexToB64url(kid), k: __hexToB64url(k) })),
+    type: 'temporary'
+  };
+  return 'data:application/json;base64,' + btoa(JSON.stringify(json));
+}
+
+// Format attendu par dashjs.MediaPlayer().setProtectionData()
+function __dashProtectionDataForEntry(entry) {
+  const drm = entry?.drm;
+  if (!drm) return null;
+  const system = __DRM_KEY_SYSTEMS[drm.type];
+  if (!system) return null;
+
+  if (drm.type === 'clearkey' && drm.keys) {
+    const clearkeys = {};
+    for (const [kid, key] of Object.entries(drm.keys)) clearkeys[__hexToB64url(kid)] = __hexToB64url(key);
+    return { [system]: { clearkeys } };
+  }
+
+  if (!drm.licenseUrl) return null;
+  const data = { serverURL: drm.licenseUrl };
+  if (drm.licenseHeaders) data.httpRequestHeaders = drm.licenseHeaders;
+  return { [system]: data };
+}
+
+// Config hls.js (EME) équivalente ; null si l'entrée n'est pas protégée
+function __hlsDrmConfigForEntry(entry) {
+  const drm = entry?.drm;
+  if (!drm) return null;
+  const system = __DRM_KEY_SYSTEMS[drm.type];
+  if (!system) return null;
+
+  const licenseUrl = (drm.type === 'clearkey' && drm.keys)
+    ? __clearKeyLicenseDataUrl(drm.keys)
+    : drm.licenseUrl;
+  if (!licenseUrl) return null;
+
+  const headers = drm.licenseHeaders || null;
+  return {
+    emeEnabled: true,
+    drmSystems: { [system]: { licenseUrl } },
+    licenseXhrSetup: headers
+      ? (xhr) => {
+          for (const [k, v] of Object.entries(headers)) {
+            try { xhr.setRequestHeader(k, v); } catch {}
+          }
+        }
+      : undefined
+  };
+}
+
 // =====================================================
 // PLAYER LOGIC
 // =====================================================
@@ -3302,6 +4711,7 @@ function destroyDash() {
   if (dashInstance) {
     try { dashInstance.reset(); } catch {}
     dashInstance = null;
+    updateTrackControlsVisibility();
   }
 }
 
@@ -3329,6 +4739,12 @@ function showIframe() {
 function playEntryAsOverlay(entry) {
   if (!entry || !entry.url) return;
 
+  // 🔒 Contrôle parental : même garde que playUrl (bouton ⧉, bascule vidéo / iFrame)
+  if (isEntryRestricted(entry.__baseEntry || entry)) {
+    requestParentalUnlock(entry.__baseEntry || entry, () => playEntryAsOverlay(entry));
+    return;
+  }
+
   currentEntry = entry;
   activePlaybackMode = 'iframe';
 
@@ -3372,6 +4788,12 @@ function playEntryAsOverlay(entry) {
 function fallbackToExternalPlayer(entry) {
   if (!entry || !entry.url) return;
 
+  // 🔒 Contrôle parental
+  if (isEntryRestricted(entry.__baseEntry || entry)) {
+    requestParentalUnlock(entry.__baseEntry || entry, () => fallbackToExternalPlayer(entry));
+    return;
+  }
+
   showIframe();
 
   currentEntry = entry;
@@ -3386,6 +4808,14 @@ function fallbackToExternalPlayer(entry) {
 
 function playUrl(entry) {
   if (!entry || !entry.url || !videoEl) return;
+  // Capturé tout de suite : le flag retombe dès le retour de playUrl(), bien avant loadedmetadata
+  const isAutoRetry = offlineRetryInProgress;
+
+  // 🔒 Contrôle parental : refusé tant que le PIN n'a pas été saisi
+  if (isEntryRestricted(entry.__baseEntry || entry)) {
+    requestParentalUnlock(entry.__baseEntry || entry, () => playUrl(entry));
+    return;
+  }
 
   // stop radio (Luna) si elle est active
 if (typeof radioPlaying !== 'undefined' && radioPlaying) {
@@ -3408,6 +4838,14 @@ currentEntry = entry;
 
   const url = entry.url;
 
+  // Nouvelle sélection utilisateur → backoff remis à zéro + historique
+  if (!isAutoRetry && !entry.__baseEntry) {
+    resetOfflineRetryBackoff();
+    recordHistoryStart(entry);
+  }
+  __noteSourceAttempt(entry);
+  updateSourceControlsVisibility();
+
   // RTP / SMIL => lecteur externe
   if (/rtp\.pt/i.test(url) || /smil:/i.test(url)) {
     fallbackToExternalPlayer(entry);
@@ -3432,24 +4870,41 @@ currentEntry = entry;
   videoEl.removeAttribute('src');
   videoEl.load();
 
+  // En-têtes requis (Referer / User-Agent…) → lecture via le relais local
+  const streamUrl = __playbackUrlForEntry(entry);
+
   let modeLabel = 'VIDEO';
 
   if (isProbablyDash(url) && window.dashjs) {
     try {
       dashInstance = dashjs.MediaPlayer().create();
-      dashInstance.initialize(videoEl, url, true);
+      const protectionData = __dashProtectionDataForEntry(entry);
+      if (protectionData) {
+        // setProtectionData doit précéder attachSource
+        dashInstance.initialize(videoEl, null, true);
+        dashInstance.setProtectionData(protectionData);
+        dashInstance.attachSource(streamUrl);
+      } else {
+        dashInstance.initialize(videoEl, streamUrl, true);
+      }
       // Keep track menus in sync with DASH manifests and track changes
 if (typeof dashjs !== 'undefined' && dashjs.MediaPlayer && dashjs.MediaPlayer.events) {
   const ev = dashjs.MediaPlayer.events;
-  dashInstance.on(ev.STREAM_INITIALIZED, refreshTrackMenus);
+  dashInstance.on(ev.STREAM_INITIALIZED, () => {
+    applyPreferredMaxHeight();
+    applyProfileTrackLanguages();
+    refreshTrackMenus();
+  });
+  if (ev.QUALITY_CHANGE_RENDERED) dashInstance.on(ev.QUALITY_CHANGE_RENDERED, buildQualityMenu);
   dashInstance.on(ev.TRACKS_ADDED, refreshTrackMenus);
   if (ev.TRACK_CHANGE_RENDERED) dashInstance.on(ev.TRACK_CHANGE_RENDERED, refreshTrackMenus);
 }
-modeLabel = 'DASH';
+modeLabel = protectionData ? 'DASH DRM' : 'DASH';
       dashInstance.on(dashjs.MediaPlayer.events.ERROR, e => {
         console.error('DASH error:', e);
+        __noteEngineError('DASH', classifyDashError(e), true);
         if (currentEntry && !offlineMode) {
-          enterOfflineMode('DASH error');
+          enterOfflineMode('DASH', classifyDashError(e));
         } else {
           setStatus('Erreur DASH');
         }
@@ -3457,15 +4912,21 @@ modeLabel = 'DASH';
     } catch (e) {
       console.error('DASH init error:', e);
       modeLabel = 'VIDEO';
-      videoEl.src = url;
+      videoEl.src = streamUrl;
     }
   } else if (isProbablyHls(url) && window.Hls && Hls.isSupported()) {
-    hlsInstance = new Hls();
-    hlsInstance.loadSource(url);
+    const hlsDrmConfig = __hlsDrmConfigForEntry(entry);
+    hlsInstance = new Hls(hlsDrmConfig || {});
+    hlsInstance.loadSource(streamUrl);
     hlsInstance.attachMedia(videoEl);
-    modeLabel = 'HLS';
+    modeLabel = hlsDrmConfig ? 'HLS DRM' : 'HLS';
 
-    hlsInstance.on(Hls.Events.MANIFEST_PARSED, refreshTrackMenus);
+    hlsInstance.on(Hls.Events.MANIFEST_PARSED, () => {
+      applyPreferredMaxHeight();
+      applyProfileTrackLanguages();
+      refreshTrackMenus();
+    });
+    hlsInstance.on(Hls.Events.LEVEL_SWITCHED, buildQualityMenu);
     hlsInstance.on(Hls.Events.AUDIO_TRACKS_UPDATED, refreshTrackMenus);
     hlsInstance.on(Hls.Events.SUBTITLE_TRACKS_UPDATED, refreshTrackMenus);
     hlsInstance.on(Hls.Events.AUDIO_TRACK_SWITCHED, refreshTrackMenus);
@@ -3473,24 +4934,26 @@ modeLabel = 'DASH';
 
     hlsInstance.on(Hls.Events.ERROR, (event, data) => {
       console.error('HLS error:', data);
+      __noteEngineError('HLS', classifyHlsError(data), !!data?.fatal);
 
       // Fatal = manifest introuvable / flux down / erreur média irréparable
       if (data && data.fatal && currentEntry && !offlineMode) {
-        enterOfflineMode('HLS fatal');
+        enterOfflineMode('HLS', classifyHlsError(data));
       }
     });
   } else {
-    videoEl.src = url;
+    videoEl.src = streamUrl;
     modeLabel = url.match(/\.(mp3|aac|ogg)(\?|$)/i) ? 'AUDIO' : 'VIDEO';
   }
 
-  // ✅ reprise position basée sur l’entrée (pas sur l’onglet)
+  // ✅ reprise position basée sur l’entrée (clé stable) : proposée, pas imposée
+  hideResumePrompt();
   videoEl.onloadedmetadata = () => {
     try {
       if (entry.listType !== 'channels') return;
 
-      const key = entry.url;
-      const savedPos = resumePositions[key];
+      const saved = getResumePosition(entry.__baseEntry || entry);
+      const savedPos = saved?.t;
 
       if (
         typeof savedPos === 'number' &&
@@ -3498,10 +4961,10 @@ modeLabel = 'DASH';
         isFinite(videoEl.duration) &&
         savedPos < videoEl.duration - 5
       ) {
-        videoEl.currentTime = savedPos;
+        // Relance auto / source de secours : on reprend là où on en était sans redemander
+        if (isAutoRetry || entry.__baseEntry) videoEl.currentTime = savedPos;
+        else showResumePrompt(entry, savedPos);
       }
-
-
     } catch (e) {
       console.warn('Erreur reprise position', e);
     }
@@ -3510,6 +4973,7 @@ modeLabel = 'DASH';
 
   videoEl.play().catch(() => {});
 
+  currentEngineLabel = modeLabel;
   updateNowPlaying(entry, modeLabel);
   setStatus('Lecture en cours');
 
@@ -3636,7 +5100,9 @@ function scrollToActiveItem() {
 
   if (!listEl) return;
 
-  const activeItem = listEl.querySelector('.channel-item.active');
+  // Liste virtualisée : la ligne active peut ne pas être matérialisée
+  const activeItem = listEl.querySelector('.channel-item.active')
+    || (currentEntry ? __vlistRevealRow(listEl, row => row.entry?.id === currentEntry.id) : null);
   if (!activeItem) return;
 
   const listRect = listEl.getBoundingClientRect();
@@ -3647,105 +5113,649 @@ function scrollToActiveItem() {
 }
 
 // =====================================================
-// M3U PARSER
+// M3U PARSER (voir m3u-parser.js, partagé avec playlist-worker.js)
 // =====================================================
+// Enregistrement brut (parseM3URecords) → entrée de liste (id, logo normalisé…)
+function __entryFromM3URecord(rec, listType) {
+  const logo = rec.logoUrl ? { type: 'image', value: rec.logoUrl } : null;
+  return {
+    id: `${listType}-ch-${nextUid()}`,
+    tvgId: rec.tvgId,
+    tmdbId: rec.tmdbId,
+    tvgName: rec.tvgName,
+    tvgCertification: rec.tvgCertification,
+    tvgCast: rec.tvgCast,
+    tvgDirector: rec.tvgDirector,
+    tvgWriter: rec.tvgWriter,
+    name: rec.name,
+    url: rec.url,
+    logo: normalizeLogo(logo, rec.name),
+    group: rec.group,
+    attrs: rec.attrs,
+    httpHeaders: rec.httpHeaders,
+    drm: rec.drm,
+    isIframe: isYoutubeUrl(rec.url),
+    isFavorite: false,
+    listType,
+    searchDoc: rec.searchDoc
+  };
+}
+
+// Parse synchrone (repli quand le worker est indisponible)
 function parseM3U(content, listType = 'channels', defaultGroup = 'Playlist') {
-  const lines = content.split(/\r?\n/);
-  const results = [];
-  let lastInf = null;
+  return parseM3URecords(content, defaultGroup).map(rec => __entryFromM3URecord(rec, listType));
+}
+
+// =====================================================
+// 📺 EPG XMLTV (now / next)
+// =====================================================
+// Sources : url-tvg / x-tvg-url de l'en-tête #EXTM3U + URL saisie par l'utilisateur.
+// Index : channelId (tvg-id) -> programmes triés, limités à une fenêtre glissante.
+// URL saisie : TronStore 'epgUrl' (ex-localStorage 'tronAresEpgUrl'), commune à l'appareil.
+const EPG_WINDOW_PAST_MS = 3 * 60 * 60 * 1000;
+const EPG_WINDOW_FUTURE_MS = 24 * 60 * 60 * 1000;
+const EPG_SOURCE_TTL_MS = 6 * 60 * 60 * 1000;
+const EPG_TICK_MS = 60 * 1000;
+
+const epgSources = new Set();          // URLs XMLTV connues
+const epgSourceLoadedAt = new Map();   // url -> timestamp du dernier chargement OK
+const epgIndex = new Map();            // channelId -> [{ start, stop, title, desc, category }]
+const epgNameIndex = new Map();        // display-name normalisé -> channelId
+const __epgRowEntries = new WeakMap(); // noeud .channel-epg -> entry
+
+let __epgLoadTimer = null;
+let __epgLoading = false;
+let __epgTickTimer = null;
+
+function __epgNorm(s) {
+  return String(s || '')
+    .normalize('NFD').replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/\b(f?hd|uhd|4k|sd)\b/g, '')
+    .replace(/[^a-z0-9]+/g, '');
+}
+
+// "20240101203000 +0100" -> ms
+function __epgParseTime(s) {
+  const m = String(s || '').trim().match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?\s*([+-]\d{2}:?\d{2})?/);
+  if (!m) return NaN;
+  const [, y, mo, d, h, mi, se] = m;
+  let t = Date.UTC(+y, +mo - 1, +d, +h, +mi, +(se || 0));
+  if (m[7]) {
+    const tz = m[7].replace(':', '');
+    const sign = tz[0] === '-' ? -1 : 1;
+    const offMin = (+tz.slice(1, 3)) * 60 + (+tz.slice(3, 5));
+    t -= sign * offMin * 60 * 1000;
+  }
+  return t;
+}
+
+function __epgFmtTime(ms) {
+  try {
+    return new Date(ms).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+  } catch {
+    return '';
+  }
+}
 
-  for (const raw of lines) {
-    const line = raw.trim();
-    if (!line || line.startsWith('#EXTM3U')) continue;
+// url-tvg / x-tvg-url des attributs #EXTM3U (plusieurs URLs possibles, séparées par des virgules)
+function __tvgUrlsFromHeaderAttrs(h) {
+  h = h || {};
+  return [h['url-tvg'], h['x-tvg-url']]
+    .filter(Boolean)
+    .flatMap(v => String(v).split(','))
+    .map(u => u.trim())
+    .filter(Boolean);
+}
 
-    if (line.startsWith('#EXTINF')) {
-      lastInf = line;
-      continue;
+function registerEpgSources(urls) {
+  let added = false;
+  for (const raw of (urls || [])) {
+    let u = String(raw || '').trim();
+    if (!u) continue;
+    try { u = new URL(u, location.href).href; } catch { continue; }
+    if (!epgSources.has(u)) {
+      epgSources.add(u);
+      added = true;
     }
+  }
+  if (added) scheduleEpgLoad();
+}
 
-    if (line.startsWith('#')) continue;
+function scheduleEpgLoad(delayMs = 400) {
+  if (__epgLoadTimer) clearTimeout(__epgLoadTimer);
+  __epgLoadTimer = setTimeout(() => {
+    __epgLoadTimer = null;
+    loadEpgSources().catch(err => console.warn('[EPG] chargement', err));
+  }, delayMs);
+}
 
-    const url = line;
-    let name = 'Sans titre';
-    let logo = null;
-    let group = defaultGroup;
-    let tvgId = '';
-    let tmdbId = '';
-    let tvgName = '';
-    let tvgCertification = '';
-    let tvgCast = '';
-    let tvgDirector = '';
-    let tvgWriter = '';
+async function __epgFetchText(url) {
+  const res = await fetch(url, { cache: 'no-store', credentials: 'omit' });
+  if (!res.ok) throw new Error('HTTP ' + res.status);
+  const buf = new Uint8Array(await res.arrayBuffer());
 
-    if (lastInf) {
-      const nameMatch = lastInf.split(',').slice(-1)[0].trim();
-      if (nameMatch) name = nameMatch;
+  // .xml.gz servi sans Content-Encoding : on décompresse nous-mêmes
+  if (buf.length > 2 && buf[0] === 0x1f && buf[1] === 0x8b) {
+    if (typeof DecompressionStream === 'undefined') throw new Error('gzip non supporté');
+    const stream = new Blob([buf]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return await new Response(stream).text();
+  }
+  return new TextDecoder('utf-8').decode(buf);
+}
 
-      const logoMatch = lastInf.match(/tvg-logo="([^"]+)"/i);
-      if (logoMatch) logo = { type: 'image', value: logoMatch[1] };
+function __epgIndexXml(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+  if (doc.querySelector('parsererror')) throw new Error('XMLTV invalide');
 
-      const groupMatch = lastInf.match(/group-title="([^"]+)"/i);
-      if (groupMatch) group = groupMatch[1];
+  for (const ch of doc.getElementsByTagName('channel')) {
+    const id = ch.getAttribute('id');
+    if (!id) continue;
+    for (const dn of ch.getElementsByTagName('display-name')) {
+      const key = __epgNorm(dn.textContent);
+      if (key && !epgNameIndex.has(key)) epgNameIndex.set(key, id);
+    }
+  }
 
-      const tvgIdMatch = lastInf.match(/tvg-id="([^"]+)"/i);
-      if (tvgIdMatch) tvgId = String(tvgIdMatch[1]).trim();
+  const now = Date.now();
+  const minT = now - EPG_WINDOW_PAST_MS;
+  const maxT = now + EPG_WINDOW_FUTURE_MS;
+  let count = 0;
+
+  for (const p of doc.getElementsByTagName('programme')) {
+    const id = p.getAttribute('channel');
+    const start = __epgParseTime(p.getAttribute('start'));
+    let stop = __epgParseTime(p.getAttribute('stop'));
+    if (!id || !Number.isFinite(start)) continue;
+    if (!Number.isFinite(stop)) stop = start + 30 * 60 * 1000;
+    if (stop < minT || start > maxT) continue;
+
+    const title = (p.getElementsByTagName('title')[0]?.textContent || '').trim();
+    const desc = (p.getElementsByTagName('desc')[0]?.textContent || '').trim();
+    const category = (p.getElementsByTagName('category')[0]?.textContent || '').trim();
+
+    let arr = epgIndex.get(id);
+    if (!arr) { arr = []; epgIndex.set(id, arr); }
+    arr.push({ start, stop, title, desc, category });
+    count++;
+  }
+
+  for (const arr of epgIndex.values()) {
+    arr.sort((a, b) => a.start - b.start);
+    // dédoublonnage (plusieurs sources peuvent couvrir la même chaîne)
+    for (let i = arr.length - 1; i > 0; i--) {
+      if (arr[i].start === arr[i - 1].start) arr.splice(i, 1);
+    }
+  }
+  return count;
+}
 
+// Purge des programmes terminés hors fenêtre
+function __epgPrune() {
+  const minT = Date.now() - EPG_WINDOW_PAST_MS;
+  for (const [id, arr] of epgIndex) {
+    let k = 0;
+    while (k < arr.length && arr[k].stop < minT) k++;
+    if (k) arr.splice(0, k);
+    if (!arr.length) epgIndex.delete(id);
+  }
+}
 
-      const tmdbIdMatch = lastInf.match(/tmdb-id=\"([^\"]+)\"/i);
-      if (tmdbIdMatch) tmdbId = String(tmdbIdMatch[1]).trim();
+function __setEpgStatus(text) {
+  if (epgStatusLabel) epgStatusLabel.textContent = text;
+}
 
-      const tvgNameMatch = lastInf.match(/tvg-name=\"([^\"]+)\"/i);
-      if (tvgNameMatch) tvgName = String(tvgNameMatch[1]).trim();
+async function loadEpgSources(opts = {}) {
+  const { force = false } = opts;
+  if (__epgLoading) return;
+  __epgLoading = true;
 
-      const certMatch = lastInf.match(/tvg-certification="([^"]+)"/i);
-      if (certMatch) tvgCertification = String(certMatch[1]).trim();
+  let loaded = 0;
+  let failed = 0;
+  try {
+    for (const url of epgSources) {
+      const last = epgSourceLoadedAt.get(url) || 0;
+      if (!force && Date.now() - last < EPG_SOURCE_TTL_MS) continue;
 
-      const castMatch = lastInf.match(/tvg-cast="([^"]+)"/i);
-      if (castMatch) tvgCast = String(castMatch[1]).trim();
+      __setEpgStatus('Chargement EPG…');
+      try {
+        const xml = await __epgFetchText(url);
+        __epgIndexXml(xml);
+        epgSourceLoadedAt.set(url, Date.now());
+        loaded++;
+      } catch (err) {
+        console.warn('[EPG] échec', url, err);
+        failed++;
+      }
+    }
+  } finally {
+    __epgLoading = false;
+  }
 
-      const dirMatch = lastInf.match(/tvg-director="([^"]+)"/i);
-      if (dirMatch) tvgDirector = String(dirMatch[1]).trim();
+  __epgPrune();
+  if (loaded || failed) {
+    __setEpgStatus(epgIndex.size
+      ? ('EPG : ' + epgIndex.size + ' chaînes' + (failed ? ' (' + failed + ' source(s) en échec)' : ''))
+      : 'EPG indisponible (CORS / format ?)');
+  }
 
-      const writerMatch = lastInf.match(/tvg-writer="([^"]+)"/i);
-      if (writerMatch) tvgWriter = String(writerMatch[1]).trim();
-    }
+  if (loaded) {
+    try { refreshActiveListsUI(); } catch {}
+    __refreshNowPlayingEpg();
+    if (guideOverlay && !guideOverlay.classList.contains('hidden')) renderGuide();
+  }
+  __startEpgTicker();
+}
 
-    results.push({
-      id: `${listType}-ch-${nextUid()}`,
-      tvgId,
-      tmdbId,
-      tvgName,
-      tvgCertification,
-      tvgCast,
-      tvgDirector,
-      tvgWriter,
-      name,
-      url,
-      logo: normalizeLogo(logo, name),
-      group,
-      isIframe: isYoutubeUrl(url),
-      isFavorite: false,
-      listType
-    });
+function __epgChannelIdForEntry(entry) {
+  if (!entry || !epgIndex.size) return '';
+  const tvgId = String(entry.tvgId || '').trim();
+  if (tvgId && epgIndex.has(tvgId)) return tvgId;
 
-    lastInf = null;
+  for (const candidate of [entry.tvgName, entry.name, tvgId]) {
+    const key = __epgNorm(normalizeName(candidate || ''));
+    const id = key ? epgNameIndex.get(key) : '';
+    if (id && epgIndex.has(id)) return id;
   }
+  return '';
+}
 
-  return results;
+function getEpgProgrammes(entry) {
+  const id = __epgChannelIdForEntry(entry);
+  return id ? (epgIndex.get(id) || []) : [];
 }
 
-// =====================================================
-// LOADERS
-// =====================================================
-async function loadFromUrl(url, opts = {}) {
-  const {
-    silent = false,
-    append = true,      // append into channels[]
-    autoplay = true,    // auto-play first item only for manual load
-    cacheBust = false   // add ?_=
-  } = opts;
+// { now, next, progress (0..1) } ou null
+function getEpgNowNext(entry, at = Date.now()) {
+  const arr = getEpgProgrammes(entry);
+  if (!arr.length) return null;
 
-  if (!url) return;
+  let now = null;
+  let next = null;
+  for (let i = 0; i < arr.length; i++) {
+    const p = arr[i];
+    if (p.start <= at && at < p.stop) {
+      now = p;
+      next = arr[i + 1] || null;
+      break;
+    }
+    if (p.start > at) {
+      next = p;
+      break;
+    }
+  }
+  if (!now && !next) return null;
+
+  const progress = now ? Math.min(1, Math.max(0, (at - now.start) / (now.stop - now.start))) : 0;
+  return { now, next, progress };
+}
+
+function __fillEpgNode(node, entry) {
+  const nn = getEpgNowNext(entry);
+  node.innerHTML = '';
+  node.classList.toggle('hidden', !nn);
+  if (!nn) return;
+
+  if (nn.now) {
+    const nowDiv = document.createElement('div');
+    nowDiv.className = 'channel-epg-now';
+    nowDiv.textContent = __epgFmtTime(nn.now.start) + ' ' + (nn.now.title || '—');
+    nowDiv.title = nn.now.desc || nn.now.title || '';
+
+    const bar = document.createElement('div');
+    bar.className = 'channel-epg-progress';
+    const fill = document.createElement('span');
+    fill.style.width = Math.round(nn.progress * 100) + '%';
+    bar.appendChild(fill);
+
+    node.appendChild(nowDiv);
+    node.appendChild(bar);
+  }
+
+  if (nn.next) {
+    const nextDiv = document.createElement('div');
+    nextDiv.className = 'channel-epg-next';
+    nextDiv.textContent = 'Ensuite ' + __epgFmtTime(nn.next.start) + ' ' + (nn.next.title || '—');
+    node.appendChild(nextDiv);
+  }
+}
+
+function createEpgNode(entry) {
+  const node = document.createElement('div');
+  node.className = 'channel-epg';
+  __epgRowEntries.set(node, entry);
+  __fillEpgNode(node, entry);
+  return node;
+}
+
+function __npSubTextForEntry(entry) {
+  const base = entry.group || (entry.isIframe ? 'Overlay / iFrame' : 'Flux M3U');
+  const nn = getEpgNowNext(entry);
+  if (!nn) return base;
+
+  const parts = [base];
+  if (nn.now) {
+    const pct = Math.round(nn.progress * 100);
+    parts.push('▶ ' + (nn.now.title || '—') + ' (' + __epgFmtTime(nn.now.start) + '–' + __epgFmtTime(nn.now.stop) + ', ' + pct + '%)');
+  }
+  if (nn.next) parts.push('Ensuite : ' + __epgFmtTime(nn.next.start) + ' ' + (nn.next.title || '—'));
+  return parts.join(' · ');
+}
+
+function __refreshNowPlayingEpg() {
+  if (!npSub || !currentEntry) return;
+  try { npSub.textContent = __npSubTextForEntry(currentEntry); } catch {}
+}
+
+// Mise à jour en place (pas de re-render : conserve le scroll)
+function __epgTick() {
+  __epgPrune();
+  document.querySelectorAll('.channel-epg').forEach((node) => {
+    const entry = __epgRowEntries.get(node);
+    if (entry) __fillEpgNode(node, entry);
+  });
+  __refreshNowPlayingEpg();
+
+  // Rechargement périodique des sources (TTL)
+  if (epgSources.size) scheduleEpgLoad(0);
+}
+
+function __startEpgTicker() {
+  if (__epgTickTimer || !epgSources.size) return;
+  __epgTickTimer = setInterval(__epgTick, EPG_TICK_MS);
+}
+
+(function __initEpgSource() {
+  TronStore.ready.then(() => {
+    const saved = String(TronStore.get('epgUrl', '') || '');
+    if (epgUrlInput && saved && !epgUrlInput.value) epgUrlInput.value = saved;
+    if (saved) registerEpgSources([saved]);
+  });
+
+  loadEpgBtn?.addEventListener('click', () => {
+    const url = (epgUrlInput?.value || '').trim();
+    if (url) TronStore.set('epgUrl', url);
+    else TronStore.delete('epgUrl');
+    if (!url) {
+      __setEpgStatus('Aucune URL EPG personnalisée');
+      return;
+    }
+    registerEpgSources([url]);
+    loadEpgSources({ force: true }).catch(err => console.warn('[EPG]', err));
+  });
+
+  epgUrlInput?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') loadEpgBtn?.click();
+  });
+})();
+
+// =====================================================
+// WORKER PLAYLISTS (fetch + parse M3U, index de recherche)
+// =====================================================
+// playlist-worker.js parse par lots et tient l'index de recherche. Sans Worker
+// (file://, vieux navigateurs, échec de chargement) : repli sur le thread principal.
+// onBatch(entries) reçoit chaque lot converti : les listes se remplissent au fil du parse.
+let __playlistWorker = null;
+let __playlistWorkerFailed = false;
+let __playlistJobSeq = 0;
+const __playlistJobs = new Map(); // jobId -> { onMessage, reject }
+let __searchSeq = 0;
+
+function __getPlaylistWorker() {
+  if (__playlistWorker || __playlistWorkerFailed) return __playlistWorker;
+  try {
+    if (typeof Worker !== 'function') throw new Error('Worker indisponible');
+    __playlistWorker = new Worker('playlist-worker.js');
+    __playlistWorker.addEventListener('message', __onPlaylistWorkerMessage);
+    __playlistWorker.addEventListener('error', (ev) => {
+      console.warn('[Worker playlists]', ev?.message || ev);
+      __disablePlaylistWorker();
+    });
+  } catch (e) {
+    console.warn('[Worker playlists] repli thread principal', e);
+    __playlistWorkerFailed = true;
+    __playlistWorker = null;
+  }
+  return __playlistWorker;
+}
+
+function __disablePlaylistWorker() {
+  __playlistWorkerFailed = true;
+  try { __playlistWorker?.terminate(); } catch {}
+  __playlistWorker = null;
+
+  // L'index est perdu : matchesSearch repasse en filtrage local
+  __searchIndexed.clear();
+  __searchHitIds = null;
+
+  // Une erreur par job : chacune porte ses propres entrées déjà livrées (voir reject)
+  for (const job of __playlistJobs.values()) {
+    const err = new Error('Worker playlists arrêté');
+    err.workerDown = true;
+    job.reject(err);
+  }
+  __playlistJobs.clear();
+
+  if (currentSearch) {
+    refreshActiveListsUI();
+    scrollToActiveItem();
+  }
+}
+
+function __onPlaylistWorkerMessage(ev) {
+  const msg = ev.data || {};
+  if (msg.type === 'searchResult') {
+    __onSearchResult(msg);
+    return;
+  }
+  __playlistJobs.get(msg.jobId)?.onMessage(msg);
+}
+
+function __parsePlaylistInWorker(worker, source, listType, defaultGroup, onProgress, onBatch) {
+  return new Promise((resolve, reject) => {
+    const jobId = ++__playlistJobSeq;
+    const entries = [];
+    let header = { isM3u: false, headerAttrs: {} };
+
+    __playlistJobs.set(jobId, {
+      onMessage(msg) {
+        if (msg.type === 'header') {
+          header = msg;
+        } else if (msg.type === 'batch') {
+          // Conversion lot par lot : le thread principal respire entre deux messages
+          const batch = (msg.records || []).map(rec => __entryFromM3URecord(rec, listType));
+          entries.push(...batch);
+          onBatch?.(batch);
+          onProgress?.(entries.length);
+        } else if (msg.type === 'done') {
+          __playlistJobs.delete(jobId);
+          resolve({ isM3u: !!header.isM3u, entries, headerAttrs: header.headerAttrs || {} });
+        } else if (msg.type === 'error') {
+          __playlistJobs.delete(jobId);
+          reject(new Error(msg.message || 'Erreur worker'));
+        }
+      },
+      reject(err) {
+        err.entries = entries; // déjà livrés à onBatch : le repli ne les renvoie pas
+        reject(err);
+      }
+    });
+
+    const url = source.url != null ? new URL(source.url, location.href).href : undefined;
+    worker.postMessage({ type: 'parse', jobId, url, text: source.text, defaultGroup });
+  });
+}
+
+// source = { url } | { text } → { isM3u, entries, headerAttrs }
+async function fetchPlaylistEntries(source, { listType = 'channels', defaultGroup = 'Playlist', onProgress = null, onBatch = null } = {}) {
+  const worker = __getPlaylistWorker();
+  let delivered = [];
+  if (worker) {
+    try {
+      return await __parsePlaylistInWorker(worker, source, listType, defaultGroup, onProgress, onBatch);
+    } catch (e) {
+      if (!e?.workerDown) throw e;
+      delivered = e.entries || [];
+    }
+  }
+
+  let text = source.text;
+  if (text == null) {
+    const res = await fetch(source.url, { cache: 'no-store' });
+    text = await res.text();
+  }
+  const isM3u = String(text).trim().startsWith('#EXTM3U');
+  const rest = isM3u ? parseM3U(text, listType, defaultGroup).slice(delivered.length) : [];
+  if (rest.length) onBatch?.(rest);
+  const entries = delivered.concat(rest);
+  onProgress?.(entries.length);
+  return { isM3u, entries, headerAttrs: isM3u ? parseM3UHeaderAttrs(text) : {} };
+}
+
+// Un rendu par frame au plus pendant l'arrivée des lots
+let __batchRenderRaf = 0;
+function __renderListsSoon() {
+  if (__batchRenderRaf) return;
+  __batchRenderRaf = requestAnimationFrame(() => {
+    __batchRenderRaf = 0;
+    renderLists();
+  });
+}
+
+// Ajoute les lots à list au fil du parse (reset = vide la liste au 1er lot)
+function __streamInto(list, reset) {
+  let first = true;
+  return (batch) => {
+    if (first && reset) list.splice(0, list.length);
+    first = false;
+    list.push(...batch);
+    __renderListsSoon();
+  };
+}
+
+// Envoie au worker les entrées ajoutées / retirées depuis le dernier rendu
+function __syncSearchIndex() {
+  const worker = __getPlaylistWorker();
+  if (!worker) return;
+
+  const live = new Set();
+  const add = [];
+  for (const list of [channels, frChannels, iframeItems]) {
+    for (const e of list) {
+      if (!e?.id) continue;
+      live.add(e.id);
+      if (__searchIndexed.has(e.id)) continue;
+      __searchIndexed.add(e.id);
+      add.push([e.id, __entrySearchDoc(e)]);
+    }
+  }
+  const del = [];
+  for (const id of __searchIndexed) {
+    if (live.has(id)) continue;
+    __searchIndexed.delete(id);
+    del.push(id);
+  }
+
+  if (!add.length && !del.length) return;
+  worker.postMessage({ type: 'index', add, del });
+  if (currentSearch) __requestSearch();
+}
+
+function __requestSearch() {
+  const worker = __getPlaylistWorker();
+  if (!worker) return false;
+  worker.postMessage({ type: 'search', seq: ++__searchSeq, q: currentSearch });
+  return true;
+}
+
+function __onSearchResult(msg) {
+  if (msg.seq !== __searchSeq) return; // réponse périmée (frappe plus récente)
+  __searchHitIds = new Set(msg.ids || []);
+  __searchHitsQuery = msg.q;
+  refreshActiveListsUI();
+  scrollToActiveItem();
+}
+
+// Applique currentSearch : rendu immédiat si vide / sans worker, sinon à la réponse
+function applyGlobalSearch() {
+  if (currentSearch && __requestSearch()) return;
+  __searchSeq++;
+  refreshActiveListsUI();
+  scrollToActiveItem();
+}
+
+// =====================================================
+// LOADERS
+// =====================================================
+// Playlists chargées pendant la session (URL sans cache-bust) : reprises par la sauvegarde
+const loadedPlaylistSources = new Map(); // url -> listType ('channels' | 'fr')
+
+function __notePlaylistSource(url, listType) {
+  if (url && !/^blob:/i.test(url)) loadedPlaylistSources.set(url, listType);
+}
+
+// Dernière copie valide des playlists principales (store 'playlists' de TronStore) :
+// { url, listType, text, hash, etag, lastModified, savedAt }
+// cacheMode 'read'       → copie locale seulement (affichage immédiat au démarrage)
+// cacheMode 'revalidate' → requête conditionnelle ; null si la liste n'a pas changé
+function __hashPlaylistText(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return text.length + ':' + h.toString(16);
+}
+
+async function __loadPlaylistSource(url, cacheMode) {
+  let cached = null;
+  try { cached = await TronStore.getRecord('playlists', url); } catch {}
+  if (cacheMode === 'read') return cached?.text ? { text: cached.text, record: null } : null;
+
+  // If-None-Match / If-Modified-Since déclencheraient un préflight CORS ailleurs :
+  // hors origine, on laisse le cache HTTP du navigateur revalider et on compare le contenu.
+  const sameOrigin = new URL(url, location.href).origin === location.origin;
+  const headers = {};
+  if (sameOrigin && cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (sameOrigin && cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  const res = await fetch(url, { cache: sameOrigin ? 'no-store' : 'no-cache', headers });
+  if (res.status === 304 && cached) return null;
+  if (!res.ok) throw new Error('HTTP ' + res.status);
+
+  const text = await res.text();
+  const record = {
+    url,
+    text,
+    hash: __hashPlaylistText(text),
+    etag: res.headers.get('etag') || '',
+    lastModified: res.headers.get('last-modified') || '',
+    savedAt: Date.now()
+  };
+  if (cached && cached.hash === record.hash) {
+    // Contenu identique : on garde seulement les nouveaux validateurs
+    __savePlaylistCache({ ...record, listType: cached.listType });
+    return null;
+  }
+  return { text, record };
+}
+
+function __savePlaylistCache(record) {
+  TronStore.putRecord('playlists', record).catch(err => console.warn('[Playlists] cache', err));
+}
+
+async function loadFromUrl(url, opts = {}) {
+  const {
+    silent = false,
+    append = true,      // append into channels[]
+    autoplay = true,    // auto-play first item only for manual load
+    cacheBust = false,  // add ?_=
+    cacheMode = null,   // 'read' | 'revalidate' (copie hors ligne, voir __loadPlaylistSource)
+    diff = false,       // réconcilie avec la liste en place (ids stables, voir reconcilePlaylist)
+    onDiff = null       // ({ listType, added, removed, changed }) => void
+  } = opts;
+
+  if (!url) return false;
 
   const finalUrl = cacheBust ? (url + (url.includes('?') ? '&' : '?') + '_=' + Date.now()) : url;
 
@@ -3753,14 +5763,33 @@ async function loadFromUrl(url, opts = {}) {
 
   try {
     if (isProbablyPlaylist(finalUrl)) {
-      const res = await fetch(finalUrl, { cache: 'no-store' });
-      const text = await res.text();
+      let source = { url: finalUrl };
+      let fresh = null;
+      if (cacheMode) {
+        fresh = await __loadPlaylistSource(url, cacheMode);
+        if (!fresh) return false;
+        source = { text: fresh.text };
+      }
+
+      // Réconciliation : il faut la liste complète ; sinon les lots s'affichent à l'arrivée
+      const streamed = !(diff && channels.length);
+      const { isM3u, entries: parsed, headerAttrs } = await fetchPlaylistEntries(source, {
+        listType: 'channels',
+        defaultGroup: 'Playlist',
+        onProgress: silent ? null : (n) => setStatus('Chargement… ' + n + ' entrées'),
+        onBatch: streamed ? __streamInto(channels, !append) : null
+      });
 
-      if (text.trim().startsWith('#EXTM3U')) {
-        const parsed = parseM3U(text, 'channels', 'Playlist');
+      if (isM3u) {
+        registerEpgSources(__tvgUrlsFromHeaderAttrs(headerAttrs));
+        __notePlaylistSource(url, 'channels');
+        if (fresh?.record && parsed.length) __savePlaylistCache({ ...fresh.record, listType: 'channels' });
 
-        if (!append) channels.splice(0, channels.length);
-        channels.push(...parsed);
+        if (!streamed) {
+          onDiff?.({ listType: 'channels', ...reconcilePlaylist(channels, parsed) });
+        } else if (!append && !parsed.length) {
+          channels.splice(0, channels.length);
+        }
 
         renderLists();
 
@@ -3769,6 +5798,7 @@ async function loadFromUrl(url, opts = {}) {
         }
 
         if (!silent) setStatus('Playlist chargée (' + parsed.length + ' entrées)');
+        return true;
       } else {
         const entry = {
           id: `single-url-${nextUid()}`,
@@ -3785,6 +5815,7 @@ async function loadFromUrl(url, opts = {}) {
         renderLists();
         if (autoplay) playChannel(channels.length - 1);
         if (!silent) setStatus('Flux chargé');
+        return true;
       }
     } else {
       const entry = {
@@ -3802,6 +5833,7 @@ async function loadFromUrl(url, opts = {}) {
       renderLists();
       if (autoplay) playChannel(channels.length - 1);
       if (!silent) setStatus('Flux chargé');
+      return true;
     }
   } catch (e) {
     console.error(e);
@@ -3811,6 +5843,7 @@ async function loadFromUrl(url, opts = {}) {
 Ça peut venir d’un blocage CORS ou d’un problème réseau.
 Si c’est un flux IPTV, il est peut-être prévu pour une app native (VLC, box, etc.), pas pour le web.`);
     }
+    return false;
   }
 }
 
@@ -3818,32 +5851,54 @@ async function loadFrM3u(url, opts = {}) {
   const {
     silent = false,
     append = true,
-    cacheBust = false
+    cacheBust = false,
+    cacheMode = null,
+    diff = false,
+    onDiff = null
   } = opts;
 
-  if (!url) return;
+  if (!url) return false;
 
   const finalUrl = cacheBust ? (url + (url.includes('?') ? '&' : '?') + '_=' + Date.now()) : url;
 
   try {
-    const res = await fetch(finalUrl, { cache: 'no-store' });
-    const text = await res.text();
+    let source = { url: finalUrl };
+    let fresh = null;
+    if (cacheMode) {
+      fresh = await __loadPlaylistSource(url, cacheMode);
+      if (!fresh) return false;
+      source = { text: fresh.text };
+    }
+
+    const streamed = !(diff && frChannels.length);
+    const { isM3u, entries: parsed, headerAttrs } = await fetchPlaylistEntries(source, {
+      listType: 'fr',
+      defaultGroup: 'FR',
+      onBatch: streamed ? __streamInto(frChannels, !append) : null
+    });
 
-    if (!text.trim().startsWith('#EXTM3U')) {
+    if (!isM3u) {
       console.error('Fichier FR non valide');
-      return;
+      return false;
     }
 
-    const parsed = parseM3U(text, 'fr', 'FR');
+    registerEpgSources(__tvgUrlsFromHeaderAttrs(headerAttrs));
+    __notePlaylistSource(url, 'fr');
+    if (fresh?.record && parsed.length) __savePlaylistCache({ ...fresh.record, listType: 'fr' });
 
-    if (!append) frChannels.splice(0, frChannels.length);
-    frChannels.push(...parsed);
+    if (!streamed) {
+      onDiff?.({ listType: 'fr', ...reconcilePlaylist(frChannels, parsed) });
+    } else if (!append && !parsed.length) {
+      frChannels.splice(0, frChannels.length);
+    }
 
     renderLists();
     if (!silent) setStatus('Chaînes FR chargées : ' + parsed.length);
+    return true;
   } catch (e) {
     console.error('Erreur M3U FR', e);
     if (!silent) setStatus('Erreur M3U FR');
+    return false;
   }
 }
 function loadFromFile(file) {
@@ -3854,10 +5909,23 @@ function loadFromFile(file) {
   const reader = new FileReader();
 
   if (/\.m3u8?$/i.test(file.name)) {
-    reader.onload = () => {
+    reader.onload = async () => {
       const text = String(reader.result || '');
-      const parsed = parseM3U(text, 'channels', 'Playlist locale');
-      channels.push(...parsed);
+      let result;
+      try {
+        result = await fetchPlaylistEntries({ text }, {
+          listType: 'channels',
+          defaultGroup: 'Playlist locale',
+          onProgress: (n) => setStatus('Lecture du fichier local… ' + n + ' entrées'),
+          onBatch: __streamInto(channels, false)
+        });
+      } catch (e) {
+        console.error(e);
+        setStatus('Erreur de lecture du fichier');
+        return;
+      }
+      const parsed = result.entries;
+      registerEpgSources(__tvgUrlsFromHeaderAttrs(result.headerAttrs));
       renderLists();
       if (parsed.length && currentIndex === -1) {
         playChannel(channels.length - parsed.length);
@@ -3921,7 +5989,7 @@ function exportM3uToJson() {
       url: ch.url,
       logo: ch.logo || deriveLogoFromName(ch.name),
       group: ch.group || '',
-      isFavorite: !!ch.isFavorite,
+      isFavorite: isFavoriteEntry(ch),
       isIframe: !!ch.isIframe
     }))
   };
@@ -3938,7 +6006,7 @@ function exportIframeToJson() {
       url: it.url,
       logo: it.logo || deriveLogoFromName(it.name),
       group: it.group || 'Overlay',
-      isFavorite: !!it.isFavorite
+      isFavorite: isFavoriteEntry(it)
     }))
   };
   if (jsonArea) jsonArea.value = JSON.stringify(payload, null, 2);
@@ -3981,9 +6049,10 @@ function importFromJson() {
         logo: normalizeLogo(item?.logo, name),
         group: item?.group || 'Playlist JSON',
         isIframe: !!item?.isIframe || isYoutubeUrl(url),
-        isFavorite: !!item?.isFavorite,
+        isFavorite: false,
         listType: 'channels'
       });
+      if (item?.isFavorite) setFavoriteEntry(channels[channels.length - 1], true);
     });
 
     renderLists();
@@ -4001,9 +6070,10 @@ function importFromJson() {
         logo: normalizeLogo(item?.logo, name),
         group: item?.group || 'Overlay JSON',
         isIframe: true,
-        isFavorite: !!item?.isFavorite,
+        isFavorite: false,
         listType: 'iframe'
       });
+      if (item?.isFavorite) setFavoriteEntry(iframeItems[iframeItems.length - 1], true);
     });
 
     renderLists();
@@ -4013,6 +6083,221 @@ function importFromJson() {
   }
 }
 
+// =====================================================
+// 💾 SAUVEGARDE COMPLÈTE (fichier unique, schéma versionné)
+// =====================================================
+// { app: 'tron-ares', kind: 'backup', schema, exportedAt, data: { favorites, resume,
+//   iframes, torrents, theme, subtitles, playlists } }
+// L'Api-Key OpenSubtitles n'est pas exportée (secret).
+const BACKUP_SCHEMA_VERSION = 1;
+
+// Migrations : index = schéma atteint (data -> data)
+const BACKUP_MIGRATIONS = [null, null];
+
+function buildBackup() {
+  const iframes = iframeItems
+    .filter(it => it && !String(it.id || '').startsWith('custom-ov-'))
+    .map(it => ({
+      name: it.name,
+      url: it.url,
+      logo: it.logo || deriveLogoFromName(it.name),
+      group: it.group || 'Overlay'
+    }));
+
+  return {
+    app: 'tron-ares',
+    kind: 'backup',
+    schema: BACKUP_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: {
+      favorites: { ...favoriteStore },
+      resume: { ...resumePositions },
+      iframes,
+      torrents: TronStore.get('torrents', []),
+      theme: currentTheme,
+      subtitles: { ...getSubtitlePrefs(), userAgent: __osGetUserAgent() },
+      playlists: [...loadedPlaylistSources].map(([url, listType]) => ({ url, listType }))
+    }
+  };
+}
+
+function downloadBackup() {
+  const json = JSON.stringify(buildBackup(), null, 2);
+  const blob = new Blob([json], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = 'tron-ares-backup-' + new Date().toISOString().slice(0, 10) + '.json';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  setStatus('Sauvegarde exportée');
+}
+
+// Valide + amène une sauvegarde au schéma courant ; renvoie data ou lève une Error lisible
+function __migrateBackup(obj) {
+  if (!obj || obj.app !== 'tron-ares' || obj.kind !== 'backup' || !obj.data || typeof obj.data !== 'object') {
+    throw new Error('Ce fichier n’est pas une sauvegarde Tron Ares.');
+  }
+  const from = Number(obj.schema) || 0;
+  if (from < 1) throw new Error('Version de sauvegarde inconnue.');
+  if (from > BACKUP_SCHEMA_VERSION) {
+    throw new Error('Sauvegarde créée par une version plus récente (schéma ' + from + ').');
+  }
+  let data = obj.data;
+  for (let v = from + 1; v <= BACKUP_SCHEMA_VERSION; v++) {
+    data = BACKUP_MIGRATIONS[v]?.(data) || data;
+  }
+  return data;
+}
+
+function __isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+// mode : 'merge' (l'existant est conservé, la sauvegarde complète) | 'replace'
+// Dans les deux modes, les playlists de la sauvegarde s'ajoutent aux playlists déjà chargées
+// (aucune n'est retirée : les entrées ne gardent pas leur playlist d'origine).
+function applyBackup(data, mode = 'merge') {
+  const replace = mode === 'replace';
+
+  if (__isPlainObject(data.favorites)) {
+    favoriteStore = replace ? { ...data.favorites } : { ...data.favorites, ...favoriteStore };
+    __persistFavorites();
+    __syncFavoriteFlags();
+  }
+
+  if (__isPlainObject(data.resume)) {
+    if (replace) {
+      resumePositions = { ...data.resume };
+    } else {
+      for (const [k, v] of Object.entries(data.resume)) {
+        if (!v || typeof v !== 'object') continue;
+        const cur = resumePositions[k];
+        if (!cur || (v.at || 0) > (cur.at || 0)) resumePositions[k] = v;
+      }
+    }
+    __pruneResumePositions();
+    __saveResumePositions();
+  }
+
+  if (Array.isArray(data.iframes)) {
+    if (replace) {
+      for (let i = iframeItems.length - 1; i >= 0; i--) {
+        if (!String(iframeItems[i]?.id || '').startsWith('custom-ov-')) iframeItems.splice(i, 1);
+      }
+    }
+    const known = new Set(iframeItems.map(it => it.url));
+    for (const item of data.iframes) {
+      const url = item?.url;
+      if (!url || known.has(url)) continue;
+      known.add(url);
+      const name = item.name || 'Overlay iFrame';
+      const entry = {
+        id: `iframe-${nextUid()}`,
+        name,
+        url,
+        logo: normalizeLogo(item.logo, name),
+        group: item.group || 'Overlay',
+        isIframe: true,
+        isFavorite: false,
+        listType: 'iframe'
+      };
+      entry.isFavorite = isFavoriteEntry(entry);
+      iframeItems.push(entry);
+    }
+  }
+
+  if (Array.isArray(data.torrents)) {
+    const list = replace ? [] : TronStore.get('torrents', []).slice();
+    const known = new Set(list.map(t => t?.url));
+    for (const t of data.torrents) {
+      if (!t || typeof t.url !== 'string' || known.has(t.url)) continue;
+      known.add(t.url);
+      list.push({ name: String(t.name || 'Torrent'), url: t.url });
+    }
+    TronStore.set('torrents', list);
+  }
+
+  if (typeof data.theme === 'string' && (replace || !TronStore.get(__profileKey('theme'), ''))) {
+    applyTheme(data.theme);
+  }
+
+  if (__isPlainObject(data.subtitles) && (replace || !TronStore.get(__profileKey('subtitlePrefs'), null))) {
+    applySubtitlePrefs(data.subtitles);
+  }
+
+  let reloaded = 0;
+  if (Array.isArray(data.playlists)) {
+    for (const src of data.playlists) {
+      const url = String(src?.url || '').trim();
+      if (!url || loadedPlaylistSources.has(url)) continue;
+      reloaded++;
+      if (src.listType === 'fr') loadFrM3u(url, { silent: true });
+      else loadFromUrl(url, { silent: true, autoplay: false });
+    }
+  }
+
+  TronStore.flush();
+  renderLists();
+  return { reloaded };
+}
+
+function importBackupText(text) {
+  let data;
+  try {
+    data = __migrateBackup(JSON.parse(text));
+  } catch (e) {
+    console.error(e);
+    alert(e instanceof SyntaxError ? 'Sauvegarde illisible : JSON invalide.' : e.message);
+    return;
+  }
+
+  const run = (mode) => {
+    const { reloaded } = applyBackup(data, mode);
+    const msg = (mode === 'replace' ? 'Sauvegarde restaurée (remplacement)' : 'Sauvegarde fusionnée') +
+      (reloaded ? ' — ' + reloaded + ' playlist(s) en rechargement' : '');
+    setStatus(msg);
+    showToast(msg);
+  };
+
+  showToast('Restaurer cette sauvegarde ? « Remplacer » écrase favoris, reprises, overlays, torrents, ' +
+    'thème et sous-titres ; dans les deux cas, les playlists déjà chargées restent.', {
+    timeoutMs: 0,
+    actions: [
+      { label: 'Fusionner', onClick: () => run('merge') },
+      { label: 'Remplacer', onClick: () => run('replace') }
+    ]
+  });
+}
+
+function importBackupFile(file) {
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => importBackupText(String(reader.result || ''));
+  reader.onerror = () => alert('Impossible de lire ce fichier.');
+  reader.readAsText(file);
+}
+
+function __bindBackupDropZone(zone) {
+  if (!zone) return;
+  const hasFiles = (ev) => [...(ev.dataTransfer?.types || [])].includes('Files');
+  zone.addEventListener('dragover', (ev) => {
+    if (!hasFiles(ev)) return;
+    ev.preventDefault();
+    zone.classList.add('backup-drop-active');
+  });
+  zone.addEventListener('dragleave', (ev) => {
+    if (!zone.contains(ev.relatedTarget)) zone.classList.remove('backup-drop-active');
+  });
+  zone.addEventListener('drop', (ev) => {
+    if (!hasFiles(ev)) return;
+    ev.preventDefault();
+    zone.classList.remove('backup-drop-active');
+    importBackupFile(ev.dataTransfer.files[0]);
+  });
+}
+
 // =====================================================
 // EVENTS
 // =====================================================
@@ -4084,9 +6369,14 @@ document.querySelectorAll('.tab-btn').forEach(btn => {
       favoriteListEl?.classList.add('active');
       renderFavoritesList();
     }
+    // Historique : pas une liste de lecture (currentListType inchangé, pas d'autoplay)
+    if (tab === 'history') {
+      historyListEl?.classList.add('active');
+      renderHistoryList();
+    }
 
     // Auto-diffuse la première chaîne quand on change de liste
-    if (!skipAutoplay && tab && tab !== prevTab) {
+    if (!skipAutoplay && tab && tab !== prevTab && tab !== 'history') {
       autoplayFirstInList(currentListType);
     }
 
@@ -4113,15 +6403,12 @@ if (globalSearchInput) {
 
   syncWrapper();
   globalSearchInput.addEventListener('input', () => {
-    currentSearch = globalSearchInput.value.trim().toLowerCase();
+    currentSearch = globalSearchInput.value.trim();
     syncWrapper();
 
-    // Debounce: avoid re-rendering everything on each keystroke
+    // Debounce: la recherche part au worker, le rendu suit sa réponse
     if (globalSearchInput.__tronTimer) clearTimeout(globalSearchInput.__tronTimer);
-    globalSearchInput.__tronTimer = setTimeout(() => {
-      refreshActiveListsUI();
-      scrollToActiveItem();
-    }, 120);
+    globalSearchInput.__tronTimer = setTimeout(applyGlobalSearch, 120);
   });
 }
 
@@ -4132,8 +6419,7 @@ if (clearSearchBtn && globalSearchInput) {
     globalSearchInput.value = '';
     const wrapper = globalSearchInput.closest('.search-wrapper');
     if (wrapper) wrapper.classList.remove('has-text');
-    refreshActiveListsUI();
-    scrollToActiveItem();
+    applyGlobalSearch();
   });
 }
 // Vérifier liens (liste active)
@@ -4142,20 +6428,14 @@ if (verifyLinksBtn) {
     const listEl = document.querySelector('.list.active');
     if (!listEl) return;
 
-    const itemEls = Array.from(listEl.querySelectorAll('.channel-item'));
-    if (itemEls.length === 0) return;
+    // Toutes les lignes filtrées, pas seulement celles matérialisées (liste virtualisée)
+    const rows = getVirtualListRows(listEl);
+    if (rows.length === 0) return;
 
     // dédupe (si un même flux apparaît plusieurs fois)
     const unique = new Map(); // key -> entry
-    itemEls.forEach((itemEl) => {
-      const type = itemEl.dataset.type;
-      const index = Number(itemEl.dataset.index);
-      let entry = null;
-      if (type === 'channels') entry = channels[index];
-      else if (type === 'fr') entry = frChannels[index];
-      else if (type === 'iframe') entry = iframeItems[index];
-
-      const key = itemEl.dataset.linkkey || linkKeyForEntry(entry);
+    rows.forEach(({ entry }) => {
+      const key = linkKeyForEntry(entry);
       if (entry && key && !unique.has(key)) unique.set(key, entry);
     });
 
@@ -4313,22 +6593,21 @@ streamUrlCopyBtn?.addEventListener('click', async (ev) => {
   }
 });
 
-// Thème
+// Thème (persisté par profil, clé 'theme')
 let currentTheme = 'classic';
-themeToggleBtn?.addEventListener('click', () => {
-  if (currentTheme === 'classic') {
-    document.body.classList.add('theme-redblue');
-    currentTheme = 'redblue';
-    themeToggleBtn.textContent = 'Thème : Rouge/Bleu';
-    themeToggleBtn.classList.add('btn-accent');
-    setStatus('Thème Rouge/Bleu actif');
-  } else {
-    document.body.classList.remove('theme-redblue');
-    currentTheme = 'classic';
-    themeToggleBtn.textContent = 'Thème : Cyan/Orange';
-    themeToggleBtn.classList.remove('btn-accent');
-    setStatus('Thème Cyan/Orange actif');
+function applyTheme(theme, persist = true) {
+  currentTheme = theme === 'redblue' ? 'redblue' : 'classic';
+  const redblue = currentTheme === 'redblue';
+  document.body.classList.toggle('theme-redblue', redblue);
+  if (themeToggleBtn) {
+    themeToggleBtn.textContent = redblue ? 'Thème : Rouge/Bleu' : 'Thème : Cyan/Orange';
+    themeToggleBtn.classList.toggle('btn-accent', redblue);
   }
+  if (persist) __saveProfileState('theme', currentTheme);
+}
+themeToggleBtn?.addEventListener('click', () => {
+  applyTheme(currentTheme === 'classic' ? 'redblue' : 'classic');
+  setStatus(currentTheme === 'redblue' ? 'Thème Rouge/Bleu actif' : 'Thème Cyan/Orange actif');
 });
 
 // JSON export/import
@@ -4336,12 +6615,29 @@ exportM3uJsonBtn?.addEventListener('click', exportM3uToJson);
 exportIframeJsonBtn?.addEventListener('click', exportIframeToJson);
 importJsonBtn?.addEventListener('click', importFromJson);
 
+// Sauvegarde complète
+backupExportBtn?.addEventListener('click', downloadBackup);
+backupImportBtn?.addEventListener('click', () => backupFileInput?.click());
+backupFileInput?.addEventListener('change', () => {
+  const file = backupFileInput.files?.[0];
+  backupFileInput.value = '';
+  if (file) importBackupFile(file);
+});
+__bindBackupDropZone(backupDropZoneEl);
+
 // Video events
-videoEl?.addEventListener('playing', () => { markProgress(); setStatus('Lecture en cours'); });
+videoEl?.addEventListener('playing', () => {
+  markProgress();
+  // Le MP4 OFFLINE joue aussi : on garde alors le compte à rebours dans statusPill
+  if (offlineMode) return;
+  resetOfflineRetryBackoff();
+  setStatus('Lecture en cours');
+});
 videoEl?.addEventListener('pause', () => setStatus('Pause'));
 videoEl?.addEventListener('waiting', () => setStatus('Buffering…'));
 videoEl?.addEventListener('error', () => {
   const mediaError = videoEl.error;
+  __noteEngineError('VIDEO', classifyMediaError(mediaError), true);
 
   // Si le MP4 OFFLINE lui-même échoue, on n'insiste pas en boucle
   if (offlineMode) {
@@ -4352,7 +6648,7 @@ videoEl?.addEventListener('error', () => {
 
   // Si le flux principal tombe, on passe sur le MP4 OFFLINE
   if (!offlineMode && currentEntry && !currentEntry.isIframe) {
-    enterOfflineMode('Erreur de lecture');
+    enterOfflineMode('Erreur de lecture', classifyMediaError(mediaError));
     return;
   }
 
@@ -4370,41 +6666,109 @@ videoEl?.addEventListener('error', () => {
   console.error('Video error', mediaError);
 });
 
-// ✅ Sauvegarde reprise : basée sur l’entrée réellement en lecture
-videoEl?.addEventListener('timeupdate', () => {
-  markProgress();
-  if (offlineMode) return;
-if (!currentEntry) return;
-  if (currentEntry.listType !== 'channels') return;
-
-  const key = currentEntry.url;
-
-  if (!videoEl.duration || !isFinite(videoEl.duration) || videoEl.duration < 60) return;
-
-  const t = videoEl.currentTime;
-  if (t < 10) return;
-
-  if (videoEl.duration - t < 20) {
-    delete resumePositions[key];
-    __scheduleResumeSave(true);
+// =====================================================
+// ⏯️ INVITE « Reprendre / Recommencer » (films)
+// =====================================================
+const resumePromptEl = document.getElementById('resumePrompt');
+const resumePromptTitle = document.getElementById('resumePromptTitle');
+const resumeFromBtn = document.getElementById('resumeFromBtn');
+const resumeStartOverBtn = document.getElementById('resumeStartOverBtn');
+
+let resumePromptEntry = null; // entrée en attente de choix (null = pas d'invite)
+let __resumePromptPos = 0;
+
+function __formatClock(sec) {
+  const t = Math.max(0, Math.floor(sec || 0));
+  const h = Math.floor(t / 3600);
+  const m = Math.floor((t % 3600) / 60);
+  const ss = String(t % 60).padStart(2, '0');
+  return h ? h + ':' + String(m).padStart(2, '0') + ':' + ss : m + ':' + ss;
+}
+
+function showResumePrompt(entry, pos) {
+  if (!resumePromptEl || !resumeFromBtn) {
+    // Pas d'UI : ancien comportement (reprise directe)
+    videoEl.currentTime = pos;
     return;
   }
+  resumePromptEntry = entry;
+  __resumePromptPos = pos;
+  if (resumePromptTitle) resumePromptTitle.textContent = normalizeName(entry.name);
+  resumeFromBtn.textContent = '▶ Reprendre à ' + __formatClock(pos);
 
-  resumePositions[key] = t;
-  __scheduleResumeSave(false);
+  // En pause jusqu'au choix
+  try { videoEl.pause(); } catch {}
+  resumePromptEl.classList.remove('hidden');
+  resumePromptEl.setAttribute('aria-hidden', 'false');
+  try { resumeFromBtn.focus({ preventScroll: true }); } catch {}
+}
+
+function hideResumePrompt() {
+  resumePromptEntry = null;
+  if (!resumePromptEl) return;
+  resumePromptEl.classList.add('hidden');
+  resumePromptEl.setAttribute('aria-hidden', 'true');
+}
+
+function __resolveResumePrompt(resume) {
+  const entry = resumePromptEntry;
+  hideResumePrompt();
+  if (!entry || entry !== currentEntry) return;
+  if (resume) {
+    videoEl.currentTime = __resumePromptPos;
+  } else {
+    clearResumePosition(entry);
+    videoEl.currentTime = 0;
+  }
+  videoEl.play().catch(() => {});
+}
+
+resumeFromBtn?.addEventListener('click', () => __resolveResumePrompt(true));
+resumeStartOverBtn?.addEventListener('click', () => __resolveResumePrompt(false));
+
+// Lecture relancée à la main (Espace, bouton du lecteur) : l'invite disparaît,
+// la position sauvegardée reste jusqu'à la prochaine écriture
+videoEl?.addEventListener('play', () => {
+  if (resumePromptEntry) hideResumePrompt();
+});
+
+// ✅ Sauvegarde reprise : basée sur l’entrée réellement en lecture
+videoEl?.addEventListener('timeupdate', () => {
+  markProgress();
+  if (offlineMode) return;
+if (!currentEntry) return;
+  updateHistoryProgress(currentEntry, videoEl.currentTime, videoEl.duration);
+  if (currentEntry.listType !== 'channels') return;
+  // Tant que le choix Reprendre / Recommencer est en attente, on n'écrase rien
+  if (resumePromptEntry) return;
+
+  if (!videoEl.duration || !isFinite(videoEl.duration) || videoEl.duration < 60) return;
+
+  const t = videoEl.currentTime;
+  if (t < 10) return;
+
+  if (videoEl.duration - t < 20) {
+    clearResumePosition(currentEntry);
+    return;
+  }
+
+  saveResumePosition(currentEntry, t, videoEl.duration);
 });
 
 
 // Flush resume on user actions (prevents losing progress on abrupt close)
-videoEl?.addEventListener('pause', () => __persistResumeNow());
-videoEl?.addEventListener('ended', () => __persistResumeNow());
+videoEl?.addEventListener('pause', () => { TronStore.flush(); });
+videoEl?.addEventListener('ended', () => { TronStore.flush(); });
 // Track menus
 audioTrackBtn?.addEventListener('click', (ev) => {
   ev.stopPropagation();
   if (!isMovieContext()) return;
   buildAudioTrackMenu();
   const isOpen = audioTrackMenu?.classList.toggle('open');
-  if (isOpen) subtitleTrackMenu?.classList.remove('open');
+  if (isOpen) {
+    subtitleTrackMenu?.classList.remove('open');
+    qualityTrackMenu?.classList.remove('open');
+  }
 });
 
 subtitleTrackBtn?.addEventListener('click', (ev) => {
@@ -4412,7 +6776,32 @@ subtitleTrackBtn?.addEventListener('click', (ev) => {
   if (!isMovieContext()) return;
   buildSubtitleTrackMenu();
   const isOpen = subtitleTrackMenu?.classList.toggle('open');
-  if (isOpen) audioTrackMenu?.classList.remove('open');
+  if (isOpen) {
+    audioTrackMenu?.classList.remove('open');
+    qualityTrackMenu?.classList.remove('open');
+  }
+});
+
+qualityTrackBtn?.addEventListener('click', (ev) => {
+  ev.stopPropagation();
+  buildQualityMenu();
+  const isOpen = qualityTrackMenu?.classList.toggle('open');
+  if (isOpen) {
+    audioTrackMenu?.classList.remove('open');
+    subtitleTrackMenu?.classList.remove('open');
+    sourceMenu?.classList.remove('open');
+  }
+});
+
+sourceTrackBtn?.addEventListener('click', (ev) => {
+  ev.stopPropagation();
+  buildSourceMenu();
+  const isOpen = sourceMenu?.classList.toggle('open');
+  if (isOpen) {
+    audioTrackMenu?.classList.remove('open');
+    subtitleTrackMenu?.classList.remove('open');
+    qualityTrackMenu?.classList.remove('open');
+  }
 });
 
 document.addEventListener('click', () => closeAllTrackMenus());
@@ -4429,14 +6818,14 @@ const SUBTITLE_PROXY_BASE = 'https://subproxy-opensub2.victor-salema-53d.workers
 // --- OpenSubtitles direct (sans login) ---
 // On stocke la clé dans le navigateur (localStorage) : pratique pour un usage "famille" sur un même PC.
 const OS_API_BASE = 'https://api.opensubtitles.com/api/v1';
-const OS_LS_API_KEY = 'tron_os_api_key';
 const OS_LS_USER_AGENT = 'tron_os_user_agent';
 
+// Api-Key : TronStore (clé kv 'osApiKey')
 function __osGetApiKey() {
-  try { return (localStorage.getItem(OS_LS_API_KEY) || '').trim(); } catch { return ''; }
+  try { return String(TronStore.get('osApiKey', '') || '').trim(); } catch { return ''; }
 }
 function __osSetApiKey(v) {
-  try { localStorage.setItem(OS_LS_API_KEY, String(v || '').trim()); } catch {}
+  try { TronStore.set('osApiKey', String(v || '').trim()); } catch {}
 }
 function __osGetUserAgent() {
   let ua = '';
@@ -4829,15 +7218,40 @@ async function __subtitleDoSearch() {
   }
 }
 
+// Préférences sous-titres (langues, source) : par profil, clé 'subtitlePrefs'
+function getSubtitlePrefs() {
+  return {
+    languages: (subtitleSearchLangInput?.value || '').trim(),
+    provider: subtitleSearchProviderSelect?.value || ''
+  };
+}
+function applySubtitlePrefs(prefs, persist = true) {
+  if (!prefs || typeof prefs !== 'object') return;
+  if (subtitleSearchLangInput && typeof prefs.languages === 'string' && prefs.languages) {
+    subtitleSearchLangInput.value = prefs.languages;
+  }
+  if (subtitleSearchProviderSelect && prefs.provider &&
+      [...subtitleSearchProviderSelect.options].some(o => o.value === prefs.provider)) {
+    subtitleSearchProviderSelect.value = prefs.provider;
+  }
+  if (typeof prefs.userAgent === 'string' && prefs.userAgent) __osSetUserAgent(prefs.userAgent);
+  if (persist) __saveProfileState('subtitlePrefs', getSubtitlePrefs());
+}
+
 // Bind UI once
 (function __bindSubtitleUiOnce(){
   if (window.__tronSubUiBound) return;
   window.__tronSubUiBound = true;
 
-// Api-Key (OpenSubtitles) : on la charge du localStorage dans le champ, puis on sauvegarde à chaque saisie.
+subtitleSearchLangInput?.addEventListener('change', () => __saveProfileState('subtitlePrefs', getSubtitlePrefs()));
+subtitleSearchProviderSelect?.addEventListener('change', () => __saveProfileState('subtitlePrefs', getSubtitlePrefs()));
+
+// Api-Key (OpenSubtitles) : on la charge du TronStore dans le champ, puis on sauvegarde à chaque saisie.
 try {
   if (subtitleSearchApiKeyInput) {
-    subtitleSearchApiKeyInput.value = __osGetApiKey();
+    TronStore.ready.then(() => {
+      if (!subtitleSearchApiKeyInput.value) subtitleSearchApiKeyInput.value = __osGetApiKey();
+    });
     subtitleSearchApiKeyInput.addEventListener('input', () => {
       __osSetApiKey(subtitleSearchApiKeyInput.value);
     });
@@ -4937,101 +7351,273 @@ const AUTO_REFRESH_INTERVAL_MS = 5 * 60 * 1000;
 let __autoRefreshTimer = null;
 let __autoRefreshInFlight = false;
 
-function __collectFavoriteUrls() {
-  const set = new Set();
-  for (const e of channels) if (e && e.isFavorite && e.url) set.add(e.url);
-  for (const e of frChannels) if (e && e.isFavorite && e.url) set.add(e.url);
-  for (const e of iframeItems) if (e && e.isFavorite && e.url) set.add(e.url);
-  return set;
-}
-
-function __reapplyFavorites(urlSet) {
-  if (!urlSet || !urlSet.size) return;
-  const apply = (arr) => {
-    for (const e of arr) {
-      if (e && e.url && urlSet.has(e.url)) e.isFavorite = true;
-    }
-  };
-  apply(channels);
-  apply(frChannels);
-  apply(iframeItems);
-}
-
-function __findIndexByUrl(arr, url) {
-  if (!url) return -1;
-  return arr.findIndex(e => e && e.url === url);
-}
-
 async function refreshPlaylistsSilently() {
   if (__autoRefreshInFlight) return;
   __autoRefreshInFlight = true;
 
-  const playingUrl = currentEntry && currentEntry.url ? currentEntry.url : null;
-  const playingListType = currentEntry && currentEntry.listType ? currentEntry.listType : currentListType;
-
-  const favUrls = __collectFavoriteUrls();
-
+  const diffs = [];
+  let updated = false;
+  // Ordre d'avant la réconciliation : sert à recaler currentIndex / currentFrIndex
+  const prevChannels = channels.slice();
+  const prevFrChannels = frChannels.slice();
   try {
     suspendRender = true;
 
-    // Recharge proprement (sans autoplay)
-    await Promise.all([
-      loadFromUrl(MAIN_PLAYLIST_URL, { silent: true, append: false, autoplay: false, cacheBust: true }),
-      loadFrM3u(FR_PLAYLIST_URL, { silent: true, append: false, cacheBust: true })
+    // Réconcilie (sans autoplay), seulement si le serveur signale un changement :
+    // les entrées conservées gardent leur id → DOM, favoris, badges OK/KO et lecture en cours intacts
+    const onDiff = (d) => diffs.push(d);
+    const results = await Promise.all([
+      loadFromUrl(MAIN_PLAYLIST_URL, { silent: true, append: false, autoplay: false, cacheMode: 'revalidate', diff: true, onDiff }),
+      loadFrM3u(FR_PLAYLIST_URL, { silent: true, append: false, cacheMode: 'revalidate', diff: true, onDiff })
     ]);
+    updated = results.some(Boolean);
   } catch (err) {
     console.warn('[Auto-refresh] échec', err);
   } finally {
     suspendRender = false;
   }
 
-  flushPendingRender();
+  // Entretient la visite en cours (mode 'visit' des derniers ajouts), même sans changement
+  trackFirstSeenAdditions();
 
-  // Réapplique les favoris + UI
-  __reapplyFavorites(favUrls);
+  if (!updated) {
+    flushPendingRender();
+    __autoRefreshInFlight = false;
+    return;
+  }
+
+  // Favoris des nouvelles entrées (store persistant, clé stable)
+  __syncFavoriteFlags();
+
+  // Les positions ont pu bouger : on recale les index (entrée retirée → voisine la plus proche)
+  currentIndex = __reindexAfterReconcile(prevChannels, channels, currentIndex);
+  currentFrIndex = __reindexAfterReconcile(prevFrChannels, frChannels, currentFrIndex);
+
+  const summary = recordPlaylistChanges(diffs);
+  flushPendingRender();
   try { refreshActiveListsUI(); } catch (_) {}
   try { renderFavoritesList(); } catch (_) {}
+  try { scrollToActiveItem(); } catch (_) {}
+  updateNewAdditionsButtonVisibility();
+
+  if (summary) {
+    showToast('Liste mise à jour : ' + summary, {
+      actions: [{ label: 'Détails', onClick: () => togglePlaylistChangelog(true) }]
+    });
+  } else {
+    showToast('Liste mise à jour');
+  }
+  __autoRefreshInFlight = false;
+}
+
+// =====================================================
+// 📋 JOURNAL DES CHANGEMENTS DE PLAYLIST (diff par tvg-id)
+// =====================================================
+// kv 'playlistChangelog' (commun à tous les profils), du plus récent au plus ancien :
+// [{ at, listType, added: [{ name, tvgId, group }], removed: [...], changed: [...] }]
+const PLAYLIST_CHANGELOG_MAX = 30;
+const PLAYLIST_CHANGELOG_MAX_ITEMS = 200;
+
+// tvg-id d'abord : l'URL (tokenisée) peut changer sans que l'entrée change
+function __diffKeyForEntry(entry) {
+  const tvgId = String(entry?.tvgId || '').trim();
+  return tvgId ? 'tvg:' + tvgId : stableKeyForEntry(entry);
+}
+
+// Remplace le contenu de list par fresh en réutilisant les objets existants
+// (même clé, dans l'ordre d'apparition pour les doublons) → { added, removed, changed }
+// Nouvel index de l'entrée pointée par idx dans prev ; si elle a disparu, celui de la
+// voisine conservée la plus proche (-1 si aucune) : le zapping repart du bon endroit
+function __reindexAfterReconcile(prev, list, idx) {
+  if (idx < 0 || idx >= prev.length) return -1;
+  const pos = new Map(list.map((e, i) => [e, i]));
+  for (let d = 0; d < prev.length; d++) {
+    if (idx - d >= 0 && pos.has(prev[idx - d])) return pos.get(prev[idx - d]);
+    if (idx + d < prev.length && pos.has(prev[idx + d])) return pos.get(prev[idx + d]);
+  }
+  return -1;
+}
+
+function reconcilePlaylist(list, fresh) {
+  const pool = new Map(); // clé -> entrées actuelles non encore appariées
+  const removed = [];
+  for (const e of list) {
+    const key = __diffKeyForEntry(e);
+    if (!key) { removed.push(e); continue; }
+    if (!pool.has(key)) pool.set(key, []);
+    pool.get(key).push(e);
+  }
+
+  const next = [];
+  const added = [];
+  const changed = [];
+  for (const f of fresh) {
+    const key = __diffKeyForEntry(f);
+    const old = key ? pool.get(key)?.shift() : null;
+    if (!old) {
+      added.push(f);
+      next.push(f);
+      continue;
+    }
 
-  // Restaure la sélection (sans relancer la lecture)
-  if (playingUrl) {
-    let found = null;
-
-    const idxCh = __findIndexByUrl(channels, playingUrl);
-    const idxFr = __findIndexByUrl(frChannels, playingUrl);
-    const idxIf = __findIndexByUrl(iframeItems, playingUrl);
-
-    if (playingListType === 'fr' && idxFr !== -1) {
-      currentFrIndex = idxFr;
-      currentIndex = -1; currentIframeIndex = -1;
-      found = frChannels[idxFr];
-    } else if (playingListType === 'iframe' && idxIf !== -1) {
-      currentIframeIndex = idxIf;
-      currentIndex = -1; currentFrIndex = -1;
-      found = iframeItems[idxIf];
-    } else if (idxCh !== -1) {
-      currentIndex = idxCh;
-      currentFrIndex = -1; currentIframeIndex = -1;
-      found = channels[idxCh];
-    } else if (idxFr !== -1) {
-      currentFrIndex = idxFr;
-      currentIndex = -1; currentIframeIndex = -1;
-      found = frChannels[idxFr];
-    } else if (idxIf !== -1) {
-      currentIframeIndex = idxIf;
-      currentIndex = -1; currentFrIndex = -1;
-      found = iframeItems[idxIf];
-    }
-
-    if (found) {
-      currentEntry = found;
-      try { refreshActiveListsUI(); } catch (_) {}
-      try { scrollToActiveItem(); } catch (_) {}
+    const oldUrl = old.url;
+    const oldDoc = JSON.stringify(old.searchDoc || null);
+    Object.assign(old, f, { id: old.id, isFavorite: old.isFavorite });
+    // Même id : l'index de recherche du worker ne le renverrait pas sans ça
+    if (JSON.stringify(old.searchDoc || null) !== oldDoc) __searchIndexed.delete(old.id);
+    if (old.url !== oldUrl) {
+      changed.push(old);
+      linkCheckCache.delete(linkKeyForEntry(old)); // statut OK/KO de l'ancienne URL
     }
+    next.push(old);
   }
 
-  __autoRefreshInFlight = false;
+  for (const rest of pool.values()) removed.push(...rest);
+  for (const e of removed) linkCheckCache.delete(linkKeyForEntry(e));
+
+  list.splice(0, list.length, ...next);
+  return { added, removed, changed };
+}
+
+function __changelogItem(entry) {
+  return { name: String(entry?.name || ''), tvgId: String(entry?.tvgId || '').trim(), group: String(entry?.group || '') };
+}
+
+function getPlaylistChangelog() {
+  const log = TronStore.get('playlistChangelog', []);
+  return Array.isArray(log) ? log : [];
+}
+
+// Ajouts des mises à jour (onglet Films) → "Derniers ajouts" + badge NEW du jour
+function __refreshPlaylistAddedIds() {
+  const today = __todayParisDateKey();
+  const ids = [];
+  const todayIds = new Set();
+  for (const batch of getPlaylistChangelog()) {
+    if (batch.listType !== 'channels') continue;
+    const isToday = __parisDateKey(new Date(batch.at)) === today;
+    for (const it of batch.added || []) {
+      if (!it.tvgId) continue;
+      ids.push(it.tvgId);
+      if (isToday) todayIds.add(it.tvgId);
+    }
+  }
+  playlistAddedIds = [...new Set(ids)].slice(0, MAX_NEW_ADDITIONS);
+  playlistAddedTodayIds = todayIds;
+}
+
+// Enregistre les diffs d'une mise à jour ; renvoie un résumé ("3 ajouts, 1 retrait") ou ''
+function recordPlaylistChanges(diffs) {
+  let added = 0;
+  let removed = 0;
+  let changed = 0;
+  const batches = [];
+  for (const d of diffs) {
+    if (!d.added.length && !d.removed.length && !d.changed.length) continue;
+    added += d.added.length;
+    removed += d.removed.length;
+    changed += d.changed.length;
+    batches.push({
+      at: Date.now(),
+      listType: d.listType,
+      added: d.added.slice(0, PLAYLIST_CHANGELOG_MAX_ITEMS).map(__changelogItem),
+      removed: d.removed.slice(0, PLAYLIST_CHANGELOG_MAX_ITEMS).map(__changelogItem),
+      changed: d.changed.slice(0, PLAYLIST_CHANGELOG_MAX_ITEMS).map(__changelogItem)
+    });
+  }
+  if (!batches.length) return '';
+
+  TronStore.set('playlistChangelog', [...batches, ...getPlaylistChangelog()].slice(0, PLAYLIST_CHANGELOG_MAX));
+  __refreshPlaylistAddedIds();
+
+  const plural = (n, one, many) => n + ' ' + (n > 1 ? many : one);
+  const parts = [];
+  if (added) parts.push(plural(added, 'ajout', 'ajouts'));
+  if (removed) parts.push(plural(removed, 'retrait', 'retraits'));
+  if (changed) parts.push(plural(changed, 'lien modifié', 'liens modifiés'));
+  return parts.join(', ');
+}
+
+function togglePlaylistChangelog(force) {
+  let overlay = document.getElementById('playlistChangelogOverlay');
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.id = 'playlistChangelogOverlay';
+    overlay.className = 'playlist-changelog-overlay hidden';
+    overlay.setAttribute('aria-hidden', 'true');
+    overlay.addEventListener('click', (ev) => {
+      if (ev.target === overlay) togglePlaylistChangelog(false);
+    });
+    overlay.addEventListener('keydown', (ev) => {
+      if (ev.key !== 'Escape') return;
+      ev.preventDefault();
+      togglePlaylistChangelog(false);
+    });
+    document.body.appendChild(overlay);
+  }
+
+  const show = (typeof force === 'boolean') ? force : overlay.classList.contains('hidden');
+  if (!show) {
+    overlay.classList.add('hidden');
+    overlay.setAttribute('aria-hidden', 'true');
+    return;
+  }
+
+  overlay.innerHTML = '';
+  const card = document.createElement('div');
+  card.className = 'playlist-changelog-card';
+
+  const title = document.createElement('div');
+  title.className = 'playlist-changelog-title';
+  title.textContent = 'Changements des playlists';
+  card.appendChild(title);
+
+  const log = getPlaylistChangelog();
+  if (!log.length) {
+    const empty = document.createElement('div');
+    empty.className = 'playlist-changelog-empty';
+    empty.textContent = 'Aucun changement détecté pour le moment.';
+    card.appendChild(empty);
+  }
+
+  const LIST_LABELS = { channels: 'Films', fr: 'Chaînes FR' };
+  const KINDS = [['added', '+', 'is-added'], ['removed', '−', 'is-removed'], ['changed', '⟳', 'is-changed']];
+  for (const batch of log) {
+    const block = document.createElement('div');
+    block.className = 'playlist-changelog-batch';
+
+    const head = document.createElement('div');
+    head.className = 'playlist-changelog-head';
+    head.textContent = new Date(batch.at).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' }) +
+      ' · ' + (LIST_LABELS[batch.listType] || batch.listType);
+    block.appendChild(head);
+
+    for (const [kind, sign, cls] of KINDS) {
+      for (const it of batch[kind] || []) {
+        const row = document.createElement('div');
+        row.className = 'playlist-changelog-row ' + cls;
+        row.textContent = sign + ' ' + (it.name || it.tvgId || '?') + (it.group ? ' · ' + it.group : '');
+        block.appendChild(row);
+      }
+    }
+    card.appendChild(block);
+  }
+
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'btn btn-accent playlist-changelog-close';
+  closeBtn.textContent = 'Fermer';
+  closeBtn.addEventListener('click', () => togglePlaylistChangelog(false));
+  card.appendChild(closeBtn);
+
+  overlay.appendChild(card);
+  overlay.classList.remove('hidden');
+  overlay.setAttribute('aria-hidden', 'false');
+  try { closeBtn.focus({ preventScroll: true }); } catch {}
 }
 
+document.getElementById('playlistChangesBtn')?.addEventListener('click', () => togglePlaylistChangelog(true));
+
 function startAutoPlaylistRefresh() {
   if (!AUTO_REFRESH_INTERVAL_MS || AUTO_REFRESH_INTERVAL_MS < 60_000) return;
 
@@ -5063,12 +7649,24 @@ function startAutoPlaylistRefresh() {
 }
 
 (async function loadMainPlaylists() {
-  // Perf: fetch both playlists in parallel + render only once
+  // uid relu + profil choisi (favoris, reprises, limites) avant de créer les entrées
+  await TronStore.ready;
+  await profileReady;
+  __refreshPlaylistAddedIds();
+
+  // Perf: copies locales d'abord (affichage immédiat), réseau pour celles qui manquent
+  // + render only once ; les copies locales sont revalidées juste après le démarrage
+  let fromCache = false;
   suspendRender = true;
   try {
+    const [mainCached, frCached] = await Promise.all([
+      loadFromUrl(MAIN_PLAYLIST_URL, { cacheMode: 'read' }),
+      loadFrM3u(FR_PLAYLIST_URL, { cacheMode: 'read' })
+    ]);
+    fromCache = mainCached || frCached;
     await Promise.all([
-      loadFromUrl(MAIN_PLAYLIST_URL),
-      loadFrM3u(FR_PLAYLIST_URL)
+      mainCached || loadFromUrl(MAIN_PLAYLIST_URL, { cacheMode: 'revalidate' }),
+      frCached || loadFrM3u(FR_PLAYLIST_URL, { cacheMode: 'revalidate' })
     ]);
   } finally {
     suspendRender = false;
@@ -5096,6 +7694,8 @@ function startAutoPlaylistRefresh() {
 
     renderLists();
     updateNowPlaying(currentEntry, 'DIRECT');
+    trackFirstSeenAdditions();
+    if (fromCache) refreshPlaylistsSilently();
     return;
   }
 
@@ -5115,7 +7715,9 @@ function startAutoPlaylistRefresh() {
     renderLists();
     playFrChannel(0);
   }
+  trackFirstSeenAdditions();
   startAutoPlaylistRefresh();
+  if (fromCache) refreshPlaylistsSilently();
 })();
 
 
@@ -5281,6 +7883,7 @@ function __groupFilmsForShowcase(q){
   for(let i=0;i<channels.length;i++){
     const e = channels[i];
     if(!e) continue;
+    if(isEntryHidden(e)) continue;
     if(!__showcaseMatches(e, q)) continue;
     const key = (e.group || 'Autres').trim() || 'Autres';
     if(!groups.has(key)){
@@ -5306,7 +7909,7 @@ if(!q && typeof computeNewAdditionsIndexes === 'function'){
     const idxs = computeNewAdditionsIndexes();
     for(const idx of idxs){
       const e = channels[idx];
-      if(!e) continue;
+      if(!e || isEntryHidden(e)) continue;
       __showcaseNewItems.push({ entry: e, index: idx });
       __showcaseSkipIdx.add(idx);
     }
@@ -5328,8 +7931,13 @@ if(!q && typeof computeNewAdditionsIndexes === 'function'){
     return;
   }
 
-  
-// Section spéciale "Derniers ajouts" tout en haut (si disponible)
+  // ▶ Reprendre (historique) tout en haut, hors recherche
+  if(!q){
+    const continueSection = __createContinueWatchingSection();
+    if(continueSection) frag.appendChild(continueSection);
+  }
+
+// Section spéciale "Derniers ajouts" (si disponible)
 if(__showcaseNewItems.length){
   const section = document.createElement('div');
   section.className = 'showcase-section';
@@ -5354,7 +7962,7 @@ if(__showcaseNewItems.length){
   for(const it of __showcaseNewItems){
     {
       const tvgId = (it.entry?.tvgId || '').trim();
-      const showNew = !!(newAdditionsIsToday && tvgId && newAdditionsNewIdSet.has(tvgId));
+      const showNew = !!(tvgId && ((newAdditionsIsToday && newAdditionsNewIdSet.has(tvgId)) || playlistAddedTodayIds.has(tvgId)));
       row.appendChild(__createShowcaseCard(it.entry, it.index, showNew));
     }
   }
@@ -5423,6 +8031,14 @@ function __createShowcaseCard(entry, index, showNewBadge){
   const poster = document.createElement('div');
   poster.className = 'poster';
 
+  if(isEntryRestricted(entry)){
+    card.classList.add('showcase-card--locked');
+    const lock = document.createElement('div');
+    lock.className = 'badge-locked';
+    lock.textContent = '🔒';
+    poster.appendChild(lock);
+  }
+
   // Badge NEW (uniquement pour la section 🆕 Derniers ajouts, et uniquement le jour du lot)
   if(showNewBadge){
     const badge = document.createElement('div');
@@ -6083,3 +8699,1850 @@ if(bEl) bEl.textContent = data.overview || 'Synopsis non disponible.';
     }
   }, true);
 })();
+
+// =====================================================
+// 📅 GUIDE TV (grille EPG plein écran, dans le player)
+// =====================================================
+// Lignes : chaînes FR + favoris (dédoublonnés par clé stable)
+// Colonnes : fenêtre de GUIDE_SPAN_H heures, navigable par pas de 2 h.
+const GUIDE_SPAN_H = 4;
+const GUIDE_PX_PER_MIN = 4;
+const GUIDE_STEP_MS = 2 * 60 * 60 * 1000;
+// Rappels : par profil, 'epgReminders' (ex-localStorage 'tronAresEpgReminders').
+const EPG_REMINDER_CHECK_MS = 30 * 1000;
+
+const guideBtn = document.getElementById('guideBtn');
+const guideOverlay = document.getElementById('guideOverlay');
+const guideBody = document.getElementById('guideBody');
+const guideScopeSelect = document.getElementById('guideScopeSelect');
+const guidePrevBtn = document.getElementById('guidePrevBtn');
+const guideNowBtn = document.getElementById('guideNowBtn');
+const guideNextBtn = document.getElementById('guideNextBtn');
+const guideCloseBtn = document.getElementById('guideCloseBtn');
+const guideRangeLabel = document.getElementById('guideRangeLabel');
+
+let __guideOffsetMs = 0;
+let __guideNowTimer = null;
+
+let epgReminders = []; // [{ key, channel, title, start }]
+
+// Rechargés par activateProfile
+function __loadEpgReminders() {
+  const saved = TronStore.get(__profileKey('epgReminders'), null);
+  epgReminders = Array.isArray(saved) ? saved.slice() : [];
+}
+
+function __persistEpgReminders() {
+  __saveProfileState('epgReminders', epgReminders.slice());
+}
+
+function __reminderIndex(key, start) {
+  return epgReminders.findIndex(r => r.key === key && r.start === start);
+}
+
+function __guideWindowStart() {
+  const half = 30 * 60 * 1000;
+  return Math.floor(Date.now() / half) * half + __guideOffsetMs;
+}
+
+function __guideRows() {
+  const scope = guideScopeSelect?.value || 'all';
+  const seen = new Set();
+  const rows = [];
+  const push = (entry) => {
+    if (!entry || entry.isIframe) return;
+    const key = stableKeyForEntry(entry);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    rows.push(entry);
+  };
+
+  if (scope !== 'favorites') frChannels.forEach(push);
+  if (scope !== 'fr') {
+    channels.filter(isFavoriteEntry).forEach(push);
+    frChannels.filter(isFavoriteEntry).forEach(push);
+  }
+  return rows;
+}
+
+// Retrouve l'entrée courante d'une chaîne (les objets sont recréés à chaque refresh)
+function __findEntryByStableKey(key) {
+  if (!key) return null;
+  return frChannels.find(e => stableKeyForEntry(e) === key)
+    || channels.find(e => stableKeyForEntry(e) === key)
+    || null;
+}
+
+function __playEntryFromGuide(entry) {
+  const frIdx = frChannels.indexOf(entry);
+  if (frIdx >= 0) {
+    playFrChannel(frIdx);
+  } else {
+    const chIdx = channels.indexOf(entry);
+    if (chIdx >= 0) playChannel(chIdx);
+    else playUrl(entry);
+  }
+  closeGuide();
+}
+
+function __guideOfferReminder(entry, prog) {
+  const key = stableKeyForEntry(entry);
+  const channelName = normalizeName(entry.name);
+  const when = __epgFmtTime(prog.start);
+  const idx = __reminderIndex(key, prog.start);
+
+  if (idx >= 0) {
+    showToast('Rappel programmé : « ' + prog.title + ' » à ' + when + ' sur ' + channelName, {
+      actions: [{
+        label: 'Supprimer le rappel',
+        onClick: () => {
+          // Déjà déclenché ou supprimé entre-temps : splice(-1) retirerait un autre rappel
+          const i = __reminderIndex(key, prog.start);
+          if (i < 0) return;
+          epgReminders.splice(i, 1);
+          __persistEpgReminders();
+          renderGuide();
+        }
+      }]
+    });
+    return;
+  }
+
+  showToast('« ' + prog.title + ' » commence à ' + when + ' sur ' + channelName, {
+    actions: [{
+      label: '⏰ Me rappeler',
+      onClick: () => {
+        epgReminders.push({ key, channel: channelName, title: prog.title, start: prog.start });
+        __persistEpgReminders();
+        try {
+          if (window.Notification && Notification.permission === 'default') Notification.requestPermission();
+        } catch {}
+        setStatus('Rappel programmé : ' + prog.title + ' (' + when + ')');
+        renderGuide();
+      }
+    }]
+  });
+}
+
+function __checkEpgReminders() {
+  if (!epgReminders.length) return;
+  const now = Date.now();
+  const due = epgReminders.filter(r => r.start - now <= 60 * 1000);
+  if (!due.length) return;
+
+  epgReminders = epgReminders.filter(r => !due.includes(r));
+  __persistEpgReminders();
+
+  for (const r of due) {
+    // Trop ancien (onglet fermé pendant l'émission) : on ignore silencieusement
+    if (now - r.start > 15 * 60 * 1000) continue;
+
+    const msg = '⏰ « ' + r.title + ' » commence sur ' + r.channel;
+    showToast(msg, {
+      timeoutMs: 0,
+      actions: [{
+        label: 'Regarder',
+        onClick: () => {
+          const entry = __findEntryByStableKey(r.key);
+          if (entry) __playEntryFromGuide(entry);
+          else setStatus('Chaîne introuvable : ' + r.channel);
+        }
+      }]
+    });
+    try {
+      if (window.Notification && Notification.permission === 'granted' && document.hidden) {
+        new Notification('Tron Ares', { body: msg });
+      }
+    } catch {}
+  }
+
+  if (guideOverlay && !guideOverlay.classList.contains('hidden')) renderGuide();
+}
+
+function renderGuide() {
+  if (!guideBody) return;
+  guideBody.innerHTML = '';
+
+  const winStart = __guideWindowStart();
+  const winEnd = winStart + GUIDE_SPAN_H * 60 * 60 * 1000;
+  const now = Date.now();
+  const widthPx = GUIDE_SPAN_H * 60 * GUIDE_PX_PER_MIN;
+  const xFor = (t) => Math.round((Math.min(Math.max(t, winStart), winEnd) - winStart) / 60000 * GUIDE_PX_PER_MIN);
+
+  if (guideRangeLabel) {
+    let day = '';
+    try { day = new Date(winStart).toLocaleDateString('fr-FR', { weekday: 'short', day: 'numeric', month: 'short' }); } catch {}
+    guideRangeLabel.textContent = day + ' · ' + __epgFmtTime(winStart) + ' – ' + __epgFmtTime(winEnd);
+  }
+
+  if (!epgIndex.size) {
+    const empty = document.createElement('div');
+    empty.className = 'guide-empty';
+    empty.textContent = epgSources.size
+      ? 'Guide en cours de chargement…'
+      : 'Aucune source EPG : ajoute une URL XMLTV dans « Guide TV (EPG XMLTV) ».';
+    guideBody.appendChild(empty);
+    return;
+  }
+
+  const grid = document.createElement('div');
+  grid.className = 'guide-grid';
+  grid.style.setProperty('--guide-width', widthPx + 'px');
+
+  // En-tête : graduations toutes les 30 min
+  const head = document.createElement('div');
+  head.className = 'guide-row guide-head';
+  const corner = document.createElement('div');
+  corner.className = 'guide-channel';
+  head.appendChild(corner);
+  const ticks = document.createElement('div');
+  ticks.className = 'guide-timeline';
+  for (let t = winStart; t < winEnd; t += 30 * 60 * 1000) {
+    const tick = document.createElement('div');
+    tick.className = 'guide-tick';
+    tick.style.left = xFor(t) + 'px';
+    tick.textContent = __epgFmtTime(t);
+    ticks.appendChild(tick);
+  }
+  head.appendChild(ticks);
+  grid.appendChild(head);
+
+  for (const entry of __guideRows()) {
+    const progs = getEpgProgrammes(entry).filter(p => p.stop > winStart && p.start < winEnd);
+    const key = stableKeyForEntry(entry);
+
+    const row = document.createElement('div');
+    row.className = 'guide-row';
+    if (currentEntry && stableKeyForEntry(currentEntry) === key) row.classList.add('active');
+
+    const ch = document.createElement('button');
+    ch.type = 'button';
+    ch.className = 'guide-channel';
+    ch.title = 'Regarder ' + normalizeName(entry.name);
+    const logo = entry.logo || deriveLogoFromName(entry.name);
+    if (logo.type === 'image') {
+      const img = document.createElement('img');
+      img.src = logo.value;
+      img.alt = '';
+      try { img.loading = 'lazy'; } catch {}
+      ch.appendChild(img);
+    }
+    const chName = document.createElement('span');
+    chName.textContent = normalizeName(entry.name);
+    ch.appendChild(chName);
+    ch.addEventListener('click', () => __playEntryFromGuide(entry));
+    row.appendChild(ch);
+
+    const line = document.createElement('div');
+    line.className = 'guide-timeline';
+
+    if (!progs.length) {
+      const none = document.createElement('div');
+      none.className = 'guide-prog guide-prog--none';
+      none.style.left = '0px';
+      none.style.width = widthPx + 'px';
+      none.textContent = 'Pas de données EPG';
+      line.appendChild(none);
+    }
+
+    for (const p of progs) {
+      const isLive = p.start <= now && now < p.stop;
+      const isPast = p.stop <= now;
+
+      const cell = document.createElement('button');
+      cell.type = 'button';
+      cell.className = 'guide-prog';
+      if (isLive) cell.classList.add('is-live');
+      if (isPast) cell.classList.add('is-past');
+      if (__reminderIndex(key, p.start) >= 0) cell.classList.add('has-reminder');
+
+      const left = xFor(p.start);
+      cell.style.left = left + 'px';
+      cell.style.width = Math.max(2, xFor(p.stop) - left - 2) + 'px';
+      cell.title = __epgFmtTime(p.start) + '–' + __epgFmtTime(p.stop) + ' ' + p.title + (p.desc ? '\n\n' + p.desc : '');
+
+      const t = document.createElement('div');
+      t.className = 'guide-prog-title';
+      t.textContent = p.title || '—';
+      const h = document.createElement('div');
+      h.className = 'guide-prog-time';
+      h.textContent = __epgFmtTime(p.start) + ' – ' + __epgFmtTime(p.stop);
+      cell.appendChild(t);
+      cell.appendChild(h);
+
+      cell.addEventListener('click', () => {
+        if (isLive) __playEntryFromGuide(entry);
+        else if (!isPast) __guideOfferReminder(entry, p);
+      });
+      line.appendChild(cell);
+    }
+
+    row.appendChild(line);
+    grid.appendChild(row);
+  }
+
+  // Ligne "maintenant"
+  if (now >= winStart && now < winEnd) {
+    const nowLine = document.createElement('div');
+    nowLine.className = 'guide-now-line';
+    nowLine.style.left = 'calc(var(--guide-channel-w) + ' + xFor(now) + 'px)';
+    grid.appendChild(nowLine);
+  }
+
+  guideBody.appendChild(grid);
+}
+
+function openGuide() {
+  if (!guideOverlay || !guideBody) return;
+  closeShowcase();
+  __guideOffsetMs = 0;
+  guideOverlay.classList.remove('hidden');
+  guideOverlay.setAttribute('aria-hidden', 'false');
+  renderGuide();
+
+  // recentre horizontalement sur "maintenant"
+  try { guideBody.scrollLeft = 0; } catch {}
+
+  if (!__guideNowTimer) __guideNowTimer = setInterval(renderGuide, EPG_TICK_MS);
+}
+
+function closeGuide() {
+  if (!guideOverlay) return;
+  if (guideOverlay.classList.contains('hidden')) return;
+  guideOverlay.classList.add('hidden');
+  guideOverlay.setAttribute('aria-hidden', 'true');
+  if (__guideNowTimer) {
+    clearInterval(__guideNowTimer);
+    __guideNowTimer = null;
+  }
+}
+
+(function __initGuide() {
+  guideBtn?.addEventListener('click', () => {
+    if (guideOverlay && !guideOverlay.classList.contains('hidden')) closeGuide();
+    else openGuide();
+  });
+  guideCloseBtn?.addEventListener('click', () => closeGuide());
+  guideScopeSelect?.addEventListener('change', () => renderGuide());
+
+  guidePrevBtn?.addEventListener('click', () => {
+    __guideOffsetMs = Math.max(-EPG_WINDOW_PAST_MS + GUIDE_STEP_MS / 2, __guideOffsetMs - GUIDE_STEP_MS);
+    renderGuide();
+  });
+  guideNextBtn?.addEventListener('click', () => {
+    __guideOffsetMs = Math.min(EPG_WINDOW_FUTURE_MS - GUIDE_SPAN_H * 60 * 60 * 1000, __guideOffsetMs + GUIDE_STEP_MS);
+    renderGuide();
+  });
+  guideNowBtn?.addEventListener('click', () => {
+    __guideOffsetMs = 0;
+    renderGuide();
+  });
+
+  document.addEventListener('keydown', (ev) => {
+    if (ev.key === 'Escape' && guideOverlay && !guideOverlay.classList.contains('hidden')) closeGuide();
+  });
+
+  setInterval(__checkEpgReminders, EPG_REMINDER_CHECK_MS);
+  __checkEpgReminders();
+})();
+
+// =====================================================
+// ⌨️ RACCOURCIS CLAVIER / TÉLÉCOMMANDE
+// =====================================================
+// Carte action -> touches (valeurs de KeyboardEvent.key, lettres en minuscule).
+// Personnalisable depuis l'aide "?" (✎ / ↺), enregistré dans
+// 'shortcuts' du profil = { "favorite": ["v", "ColorF0Red"], … } (ex-localStorage 'tronAresShortcuts')
+// Les flèches ne zappent / n'avancent qu'en mode TV, sur une ligne ou sur le lecteur
+// focalisés : ailleurs elles font défiler la page et les listes.
+const CHANNEL_NUMBER_TIMEOUT_MS = 1500;
+const VOLUME_STEP = 0.1;
+const SEEK_STEP_S = 10;
+
+const DEFAULT_SHORTCUTS = {
+  next:          ['ChannelUp', 'ArrowDown', 'PageDown', 'MediaTrackNext'],
+  prev:          ['ChannelDown', 'ArrowUp', 'PageUp', 'MediaTrackPrevious'],
+  playPause:     [' ', 'k', 'MediaPlayPause'],
+  play:          ['MediaPlay'],
+  pause:         ['MediaPause', 'MediaStop'],
+  seekForward:   ['ArrowRight', 'l', 'MediaFastForward'],
+  seekBack:      ['ArrowLeft', 'j', 'MediaRewind'],
+  volumeUp:      ['+', '=', 'AudioVolumeUp'],
+  volumeDown:    ['-', 'AudioVolumeDown'],
+  mute:          ['m', 'AudioVolumeMute'],
+  favorite:      ['v', 'ColorF0Red'],
+  guide:         ['g', 'Guide', 'ColorF1Green'],
+  subtitles:     ['t', 'Subtitle', 'ColorF2Yellow'],
+  showcase:      ['c', 'ColorF3Blue'],
+  streamUrl:     ['u'],
+  fullscreen:    ['f'],
+  pip:           ['p'],
+  stats:         ['i', 'Info'],
+  help:          ['?', 'h']
+};
+
+const SHORTCUT_LABELS = {
+  next: 'Chaîne suivante',
+  prev: 'Chaîne précédente',
+  playPause: 'Lecture / pause',
+  play: 'Lecture',
+  pause: 'Pause',
+  seekForward: 'Avancer de 10 s',
+  seekBack: 'Reculer de 10 s',
+  volumeUp: 'Volume +',
+  volumeDown: 'Volume −',
+  mute: 'Muet',
+  favorite: 'Ajouter / enlever des favoris',
+  guide: 'Guide TV',
+  subtitles: 'Recherche de sous-titres',
+  showcase: 'Vitrine (Films)',
+  streamUrl: 'Tester un Stream URL',
+  fullscreen: 'Plein écran',
+  pip: 'PiP',
+  stats: 'Stats de lecture',
+  help: 'Aide raccourcis'
+};
+
+// keyCode des télécommandes (Tizen / webOS / HbbTV) quand key === 'Unidentified'
+const __REMOTE_KEYCODES = {
+  427: 'ChannelUp', 428: 'ChannelDown',
+  403: 'ColorF0Red', 404: 'ColorF1Green', 405: 'ColorF2Yellow', 406: 'ColorF3Blue',
+  415: 'MediaPlay', 19: 'MediaPause', 10252: 'MediaPlayPause', 413: 'MediaStop',
+  417: 'MediaFastForward', 412: 'MediaRewind', 457: 'Info', 458: 'Guide', 460: 'Subtitle',
+  447: 'AudioVolumeUp', 448: 'AudioVolumeDown', 449: 'AudioVolumeMute'
+};
+
+let shortcutMap = {};
+let __keyToAction = new Map();
+
+function __shortcutOverrides() {
+  const saved = TronStore.get(__profileKey('shortcuts'), null);
+  return saved && typeof saved === 'object' ? { ...saved } : {};
+}
+
+function loadShortcuts() {
+  const overrides = __shortcutOverrides();
+
+  shortcutMap = {};
+  for (const action of Object.keys(DEFAULT_SHORTCUTS)) {
+    const keys = Array.isArray(overrides[action]) ? overrides[action] : DEFAULT_SHORTCUTS[action];
+    shortcutMap[action] = keys.map(String);
+  }
+
+  __keyToAction = new Map();
+  for (const [action, keys] of Object.entries(shortcutMap)) {
+    for (const k of keys) {
+      const norm = k.length === 1 ? k.toLowerCase() : k;
+      if (!__keyToAction.has(norm)) __keyToAction.set(norm, action);
+    }
+  }
+}
+
+// keys = null → touches par défaut
+function setShortcutKeys(action, keys) {
+  if (!DEFAULT_SHORTCUTS[action]) return;
+  const overrides = __shortcutOverrides();
+  if (keys) overrides[action] = keys.map(String);
+  else delete overrides[action];
+  __saveProfileState('shortcuts', overrides);
+  loadShortcuts();
+}
+
+// Une touche ne sert qu'à une action : on la retire des autres avant de l'attribuer
+function assignShortcutKey(action, key) {
+  for (const [other, keys] of Object.entries(shortcutMap)) {
+    if (other !== action && keys.includes(key)) setShortcutKeys(other, keys.filter(k => k !== key));
+  }
+  setShortcutKeys(action, [key]);
+}
+
+function resetShortcuts() {
+  const pk = __profileKey('shortcuts');
+  if (pk) TronStore.delete(pk);
+  loadShortcuts();
+}
+
+function __eventKey(ev) {
+  let k = ev.key;
+  if (!k || k === 'Unidentified') k = __REMOTE_KEYCODES[ev.keyCode] || '';
+  return k.length === 1 ? k.toLowerCase() : k;
+}
+
+function __isTypingTarget(el) {
+  if (!el) return false;
+  const tag = (el.tagName || '').toLowerCase();
+  if (tag === 'textarea' || tag === 'select') return true;
+  if (tag === 'input') {
+    const type = (el.type || 'text').toLowerCase();
+    return !['button', 'checkbox', 'radio', 'range', 'submit', 'reset', 'file'].includes(type);
+  }
+  return !!el.isContentEditable;
+}
+
+// Panneaux "modaux" : les raccourcis de lecture y sont suspendus
+function __isModalOverlayOpen() {
+  return !!document.querySelector(
+    '#profileOverlay:not(.hidden), #streamUrlOverlay:not(.hidden), .subsearch-overlay:not(.hidden), .tmdb-synopsis-backdrop:not(.hidden), #shortcutHelpOverlay:not(.hidden), #playlistChangelogOverlay:not(.hidden), #resumePrompt:not(.hidden)'
+  );
+}
+
+// ---- Saisie directe du numéro de chaîne (OSD) ----
+let __channelNumberBuffer = '';
+let __channelNumberTimer = null;
+
+function __channelNumberOsd() {
+  let osd = document.getElementById('channelNumberOsd');
+  if (!osd) {
+    osd = document.createElement('div');
+    osd.id = 'channelNumberOsd';
+    osd.className = 'channel-number-osd hidden';
+    (document.querySelector('.player-inner') || document.body).appendChild(osd);
+  }
+  return osd;
+}
+
+function __channelNumberListLength() {
+  const tab = getActiveTabKey();
+  if (tab === 'channels') return channels.length;
+  if (tab === 'iframes') return iframeItems.length;
+  if (tab === 'favorites') return favoritesView.length;
+  return frChannels.length;
+}
+
+function __commitChannelNumber() {
+  if (__channelNumberTimer) clearTimeout(__channelNumberTimer);
+  __channelNumberTimer = null;
+
+  const n = parseInt(__channelNumberBuffer, 10);
+  __channelNumberBuffer = '';
+  __channelNumberOsd().classList.add('hidden');
+  if (!Number.isFinite(n) || n < 1) return;
+
+  const idx = n - 1;
+  if (idx >= __channelNumberListLength()) {
+    setStatus('Chaîne ' + n + ' introuvable');
+    return;
+  }
+
+  const tab = getActiveTabKey();
+  if (tab === 'channels') playChannel(idx);
+  else if (tab === 'iframes') playIframe(idx);
+  else if (tab === 'favorites') {
+    const item = favoritesView[idx];
+    if (!item) return;
+    currentListType = 'favorites';
+    currentFavPos = idx;
+    playUrl(item.entry);
+    renderFavoritesList();
+    scrollToActiveItem();
+  } else playFrChannel(idx);
+}
+
+function __pushChannelDigit(d) {
+  if (__channelNumberBuffer.length >= 4) __channelNumberBuffer = '';
+  __channelNumberBuffer += d;
+
+  const osd = __channelNumberOsd();
+  osd.textContent = __channelNumberBuffer;
+  osd.classList.remove('hidden');
+
+  if (__channelNumberTimer) clearTimeout(__channelNumberTimer);
+  __channelNumberTimer = setTimeout(__commitChannelNumber, CHANNEL_NUMBER_TIMEOUT_MS);
+}
+
+// ---- Actions ----
+function __seekBy(delta) {
+  if (!videoEl || activePlaybackMode !== 'stream') return;
+  const s = videoEl.seekable;
+  if (!s || !s.length) return;
+  const min = s.start(0);
+  const max = s.end(s.length - 1);
+  videoEl.currentTime = Math.min(max, Math.max(min, videoEl.currentTime + delta));
+  setStatus((delta > 0 ? '⏩ +' : '⏪ ') + delta + ' s');
+}
+
+function __changeVolume(delta) {
+  if (!videoEl) return;
+  videoEl.muted = false;
+  videoEl.volume = Math.min(1, Math.max(0, Math.round((videoEl.volume + delta) * 10) / 10));
+  setStatus('Volume ' + Math.round(videoEl.volume * 100) + ' %');
+}
+
+const SHORTCUT_ACTIONS = {
+  next: () => playNext(),
+  prev: () => playPrev(),
+  playPause: () => {
+    if (!videoEl) return;
+    if (videoEl.paused) videoEl.play().catch(() => {});
+    else videoEl.pause();
+  },
+  play: () => videoEl?.play().catch(() => {}),
+  pause: () => videoEl?.pause(),
+  seekForward: () => __seekBy(SEEK_STEP_S),
+  seekBack: () => __seekBy(-SEEK_STEP_S),
+  volumeUp: () => __changeVolume(VOLUME_STEP),
+  volumeDown: () => __changeVolume(-VOLUME_STEP),
+  mute: () => {
+    if (!videoEl) return;
+    videoEl.muted = !videoEl.muted;
+    setStatus(videoEl.muted ? 'Muet' : 'Son activé');
+  },
+  favorite: () => {
+    if (!currentEntry) return;
+    const entry = currentEntry.__baseEntry || currentEntry;
+    const fav = toggleFavoriteEntry(entry);
+    refreshActiveListsUI();
+    renderFavoritesList();
+    setStatus((fav ? '★ Ajouté aux favoris : ' : '☆ Retiré des favoris : ') + normalizeName(entry.name));
+  },
+  guide: () => guideBtn?.click(),
+  subtitles: () => __subtitleOpenOverlay(__subtitleGuessTitleFromEntry(currentEntry)),
+  showcase: () => {
+    if (showcaseOverlay && !showcaseOverlay.classList.contains('hidden')) {
+      closeShowcase();
+      return;
+    }
+    if (getActiveTabKey() !== 'channels') {
+      setStatus('Vitrine : disponible dans l’onglet Films');
+      return;
+    }
+    openShowcase();
+  },
+  streamUrl: () => openStreamUrlPanel(true),
+  fullscreen: () => fullPageBtn?.click(),
+  pip: () => pipToggleBtn?.click(),
+  stats: () => toggleStatsOverlay(),
+  help: () => toggleShortcutHelp()
+};
+
+// ---- Aide "?" ----
+let __shortcutCaptureAction = ''; // action en attente de sa nouvelle touche (✎)
+
+function __keyLabel(k) {
+  const map = {
+    ' ': 'Espace', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+    ColorF0Red: '🔴', ColorF1Green: '🟢', ColorF2Yellow: '🟡', ColorF3Blue: '🔵'
+  };
+  return map[k] || k;
+}
+
+function toggleShortcutHelp(force) {
+  let overlay = document.getElementById('shortcutHelpOverlay');
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.id = 'shortcutHelpOverlay';
+    overlay.className = 'shortcut-help-overlay hidden';
+    overlay.setAttribute('aria-hidden', 'true');
+    overlay.addEventListener('click', (ev) => {
+      if (ev.target === overlay) toggleShortcutHelp(false);
+    });
+    // Capture de la nouvelle touche : avant les raccourcis et la navigation TV
+    overlay.addEventListener('keydown', (ev) => {
+      if (!__shortcutCaptureAction) return;
+      ev.preventDefault();
+      ev.stopPropagation();
+      const key = __eventKey(ev);
+      if (!key || ['Shift', 'Control', 'Alt', 'Meta'].includes(key)) return;
+      const action = __shortcutCaptureAction;
+      __shortcutCaptureAction = '';
+      if (key !== 'Escape') assignShortcutKey(action, key);
+      toggleShortcutHelp(true);
+    }, true);
+    document.body.appendChild(overlay);
+  }
+
+  const show = (typeof force === 'boolean') ? force : overlay.classList.contains('hidden');
+  if (!show) {
+    __shortcutCaptureAction = '';
+    overlay.classList.add('hidden');
+    overlay.setAttribute('aria-hidden', 'true');
+    return;
+  }
+
+  overlay.innerHTML = '';
+  const card = document.createElement('div');
+  card.className = 'shortcut-help-card';
+
+  const title = document.createElement('div');
+  title.className = 'shortcut-help-title';
+  title.textContent = 'Raccourcis clavier / télécommande';
+  card.appendChild(title);
+
+  const grid = document.createElement('div');
+  grid.className = 'shortcut-help-grid';
+  let captureBtn = null;
+  const addRow = (keys, label, action = '') => {
+    const k = document.createElement('div');
+    k.className = 'shortcut-help-keys';
+    keys.forEach((key) => {
+      const kbd = document.createElement('kbd');
+      kbd.textContent = __keyLabel(key);
+      k.appendChild(kbd);
+    });
+    if (!keys.length) {
+      const none = document.createElement('span');
+      none.className = 'shortcut-help-none';
+      none.textContent = '—';
+      k.appendChild(none);
+    }
+    const l = document.createElement('div');
+    l.className = 'shortcut-help-label';
+    l.textContent = label;
+
+    if (action) {
+      const capturing = __shortcutCaptureAction === action;
+      const edit = document.createElement('button');
+      edit.type = 'button';
+      edit.className = 'btn btn-ghost shortcut-help-edit' + (capturing ? ' is-capturing' : '');
+      edit.textContent = capturing ? 'Appuie sur une touche…' : '✎';
+      edit.title = 'Changer la touche';
+      edit.addEventListener('click', () => {
+        __shortcutCaptureAction = capturing ? '' : action;
+        toggleShortcutHelp(true);
+      });
+      l.appendChild(edit);
+      if (capturing) captureBtn = edit;
+
+      const def = DEFAULT_SHORTCUTS[action];
+      if (keys.join('\n') !== def.join('\n')) {
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.className = 'btn btn-ghost shortcut-help-edit';
+        reset.textContent = '↺';
+        reset.title = 'Touches par défaut : ' + def.map(__keyLabel).join(' ');
+        reset.addEventListener('click', () => {
+          setShortcutKeys(action, null);
+          toggleShortcutHelp(true);
+        });
+        l.appendChild(reset);
+      }
+    }
+    grid.appendChild(k);
+    grid.appendChild(l);
+  };
+  addRow(['0', '…', '9'], 'Numéro de chaîne (OK / Entrée pour valider)');
+  for (const [action, keys] of Object.entries(shortcutMap)) {
+    addRow(keys, SHORTCUT_LABELS[action] || action, action);
+  }
+  addRow(['Escape'], 'Fermer le panneau ouvert');
+  card.appendChild(grid);
+
+  const note = document.createElement('div');
+  note.className = 'shortcut-help-note';
+  note.textContent = '✎ puis la nouvelle touche (Échap pour annuler). Flèches : en mode TV, ou sur une ligne / le lecteur focalisés.';
+  card.appendChild(note);
+
+  const resetAllBtn = document.createElement('button');
+  resetAllBtn.type = 'button';
+  resetAllBtn.className = 'btn btn-ghost shortcut-help-close';
+  resetAllBtn.textContent = 'Tout réinitialiser';
+  resetAllBtn.addEventListener('click', () => {
+    __shortcutCaptureAction = '';
+    resetShortcuts();
+    toggleShortcutHelp(true);
+  });
+  card.appendChild(resetAllBtn);
+
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'btn btn-accent shortcut-help-close';
+  closeBtn.textContent = 'Fermer';
+  closeBtn.addEventListener('click', () => toggleShortcutHelp(false));
+  card.appendChild(closeBtn);
+
+  overlay.appendChild(card);
+  overlay.classList.remove('hidden');
+  overlay.setAttribute('aria-hidden', 'false');
+  try { (captureBtn || closeBtn).focus(); } catch {}
+}
+
+function handleShortcutKeydown(ev) {
+  if (ev.defaultPrevented) return;
+  if (ev.ctrlKey || ev.metaKey || ev.altKey) return;
+  if (__isTypingTarget(ev.target)) return;
+
+  const key = __eventKey(ev);
+  if (!key) return;
+
+  const helpOpen = !!document.querySelector('#shortcutHelpOverlay:not(.hidden)');
+  if (helpOpen) {
+    if (key === 'Escape' || __keyToAction.get(key) === 'help') {
+      ev.preventDefault();
+      toggleShortcutHelp(false);
+    }
+    return;
+  }
+  if (__isModalOverlayOpen()) return;
+
+  // Chiffres : saisie directe (pavé numérique compris)
+  if (/^[0-9]$/.test(key)) {
+    ev.preventDefault();
+    __pushChannelDigit(key);
+    return;
+  }
+  if (key === 'Enter' && __channelNumberBuffer) {
+    ev.preventDefault();
+    __commitChannelNumber();
+    return;
+  }
+  if (key === 'Escape' && __channelNumberBuffer) {
+    __channelNumberBuffer = '';
+    __commitChannelNumber();
+    return;
+  }
+
+  const action = __keyToAction.get(key);
+  if (!action) return;
+
+  // Flèches : zapping / avance seulement en mode TV, sur une ligne ou sur le lecteur focalisés ;
+  // ailleurs le navigateur garde le défilement de la page et des listes
+  if (/^Arrow/.test(key) && !tvMode && !(ev.target && ev.target.closest && ev.target.closest('.channel-item, video'))) return;
+
+  // Flèches / Espace : laisse le navigateur gérer un bouton ou une liste focalisés (clic, scroll, menus…)
+  const onControl = ev.target && ev.target.closest && ev.target.closest('button, a, .np-track-menu, .showcase-overlay');
+  if ((/^Arrow/.test(key) || key === ' ') && onControl) return;
+
+  ev.preventDefault();
+  try {
+    SHORTCUT_ACTIONS[action]?.();
+  } catch (err) {
+    console.warn('[Raccourcis]', action, err);
+  }
+}
+
+(function __initShortcuts() {
+  loadShortcuts(); // touches par défaut ; celles du profil arrivent avec activateProfile
+  document.addEventListener('keydown', handleShortcutKeydown);
+
+  // Tizen : les touches média / couleur doivent être enregistrées pour être reçues
+  try {
+    const tv = window.tizen && window.tizen.tvinputdevice;
+    if (tv) {
+      const wanted = ['ChannelUp', 'ChannelDown', 'MediaPlayPause', 'MediaPlay', 'MediaPause', 'MediaStop',
+        'MediaFastForward', 'MediaRewind', 'ColorF0Red', 'ColorF1Green', 'ColorF2Yellow', 'ColorF3Blue', 'Info', 'Guide',
+        '0', '1', '2', '3', '4', '5', '6', '7', '8', '9'];
+      const supported = new Set((tv.getSupportedKeys() || []).map(k => k.name));
+      wanted.filter(k => supported.has(k)).forEach(k => { try { tv.registerKey(k); } catch {} });
+    }
+  } catch {}
+})();
+
+// =====================================================
+// 📺 MODE TV (navigation spatiale D-pad + touche Retour)
+// =====================================================
+// Activé par ?tv=1 (désactivé par ?tv=0), détecté sur les navigateurs de TV,
+// ou via le bouton "TV" (préférence persistée : TronStore 'tvMode', ex-localStorage 'tronAresTvMode').
+// Commune à l'appareil (pas par profil) : elle dépend de l'écran et de la télécommande.
+const TV_UA_RE = /SMART-TV|SmartTV|Tizen|Web0S|webOS|HbbTV|NetCast|BRAVIA|Android TV|GoogleTV|AFT[A-Z]|CrKey|VIDAA|Philips/i;
+const TV_BACK_KEYS = ['Backspace', 'BrowserBack', 'GoBack', 'Escape'];
+const TV_BACK_KEYCODES = [8, 10009, 461, 27];
+
+// Éléments navigables hors overlay (ordre sans importance : la géométrie décide)
+const TV_FOCUSABLE_SELECTOR = [
+  '.tab-btn', '.list.active .channel-item', '.channel-item .icon-btn',
+  '.top-bar-right button', '.nav-btn', '.np-track-group:not(.hidden) .np-track-btn',
+  '.films-actions-row button:not(.hidden)', '.loader-section .collapsible-label',
+  '#globalSearchInput', '#verifyLinksBtn'
+].join(',');
+
+// Dans un overlay : tout ce qui est interactif
+const TV_OVERLAY_FOCUSABLE_SELECTOR = 'button, input, select, textarea, a[href], [tabindex], .showcase-card, .np-track-item';
+
+const tvModeBtn = document.getElementById('tvModeBtn');
+
+let tvMode = false;
+let __tvLastFocus = null; // { type, index } de la dernière .channel-item focalisée
+
+// Overlays du plus haut au plus bas : [sélecteur, fermeture]
+const TV_OVERLAY_STACK = [
+  ['#profileOverlay:not(.hidden)', () => __profileBack()],
+  ['#shortcutHelpOverlay:not(.hidden)', () => toggleShortcutHelp(false)],
+  ['#playlistChangelogOverlay:not(.hidden)', () => togglePlaylistChangelog(false)],
+  ['#resumePrompt:not(.hidden)', () => { hideResumePrompt(); videoEl?.play().catch(() => {}); }],
+  ['.tmdb-synopsis-backdrop:not(.hidden)', () => closeTmdbSynopsisBackdrop()],
+  ['.subsearch-overlay:not(.hidden)', () => __subtitleCloseOverlay()],
+  ['#streamUrlOverlay:not(.hidden)', () => closeStreamUrlPanel()],
+  ['.np-track-menu.open', () => closeAllTrackMenus()],
+  ['#guideOverlay:not(.hidden)', () => closeGuide()],
+  ['#showcaseOverlay:not(.hidden)', () => closeShowcase()]
+];
+
+function __tvTopOverlay() {
+  for (const [sel, close] of TV_OVERLAY_STACK) {
+    const el = document.querySelector(sel);
+    if (el) return { el, close };
+  }
+  return null;
+}
+
+function __tvIsVisible(el) {
+  if (!el || el.disabled) return false;
+  const r = el.getBoundingClientRect();
+  if (r.width <= 0 || r.height <= 0) return false;
+  const cs = getComputedStyle(el);
+  return cs.visibility !== 'hidden' && cs.display !== 'none';
+}
+
+function __tvCandidates() {
+  const top = __tvTopOverlay();
+  const nodes = top
+    ? top.el.querySelectorAll(TV_OVERLAY_FOCUSABLE_SELECTOR)
+    : document.querySelectorAll(TV_FOCUSABLE_SELECTOR);
+  return Array.from(nodes).filter(__tvIsVisible);
+}
+
+function __tvFocus(el) {
+  if (!el) return;
+  // Les <div> (lignes, cartes) ne sont pas focalisables nativement
+  if (!el.matches('button, input, select, textarea, a[href]') && !el.hasAttribute('tabindex')) el.tabIndex = -1;
+  try { el.focus({ preventScroll: true }); } catch { el.focus(); }
+  try { el.scrollIntoView({ block: 'nearest', inline: 'nearest' }); } catch {}
+}
+
+// Meilleur candidat dans une direction : distance sur l'axe + pénalité d'écart latéral
+function __tvMove(dir) {
+  const cur = document.activeElement;
+  const candidates = __tvCandidates();
+  if (!candidates.length) return false;
+
+  if (!cur || cur === document.body || !candidates.includes(cur)) {
+    const active = candidates.find(el => el.classList.contains('active') && el.classList.contains('channel-item'));
+    __tvFocus(active || candidates[0]);
+    return true;
+  }
+
+  const a = cur.getBoundingClientRect();
+  const ax = a.left + a.width / 2;
+  const ay = a.top + a.height / 2;
+
+  let best = null;
+  let bestScore = Infinity;
+  for (const el of candidates) {
+    if (el === cur || el.contains(cur) || cur.contains(el)) continue;
+    const b = el.getBoundingClientRect();
+    const bx = b.left + b.width / 2;
+    const by = b.top + b.height / 2;
+
+    let main;
+    let cross;
+    if (dir === 'ArrowDown') { main = b.top - a.bottom + 1; cross = Math.abs(bx - ax); if (by <= ay) continue; }
+    else if (dir === 'ArrowUp') { main = a.top - b.bottom + 1; cross = Math.abs(bx - ax); if (by >= ay) continue; }
+    else if (dir === 'ArrowRight') { main = b.left - a.right + 1; cross = Math.abs(by - ay); if (bx <= ax) continue; }
+    else { main = a.left - b.right + 1; cross = Math.abs(by - ay); if (bx >= ax) continue; }
+
+    const score = Math.max(0, main) + cross * 2;
+    if (score < bestScore) {
+      bestScore = score;
+      best = el;
+    }
+  }
+
+  if (!best) return false;
+  __tvFocus(best);
+  return true;
+}
+
+function __tvIsBackKey(ev) {
+  return TV_BACK_KEYS.includes(ev.key) || TV_BACK_KEYCODES.includes(ev.keyCode);
+}
+
+function handleTvKeydown(ev) {
+  if (!tvMode || ev.defaultPrevented) return;
+  // Aide "?" en attente d'une nouvelle touche : elle ne doit pas déplacer le focus
+  if (__shortcutCaptureAction) return;
+  if (ev.ctrlKey || ev.metaKey || ev.altKey) return;
+  const typing = __isTypingTarget(ev.target);
+
+  // Retour : ferme l'overlay du dessus (Backspace reste l'effacement dans un champ)
+  if (__tvIsBackKey(ev) && !(typing && ev.key === 'Backspace')) {
+    const top = __tvTopOverlay();
+    if (top) {
+      ev.preventDefault();
+      ev.stopPropagation();
+      top.close();
+      __tvRestoreFocus();
+      return;
+    }
+    if (document.fullscreenElement) {
+      ev.preventDefault();
+      document.exitFullscreen?.();
+    }
+    return;
+  }
+
+  if (/^Arrow(Up|Down|Left|Right)$/.test(ev.key)) {
+    // Dans un champ texte, ←/→ déplacent le curseur
+    if (typing && (ev.key === 'ArrowLeft' || ev.key === 'ArrowRight')) return;
+    if (__tvMove(ev.key)) {
+      ev.preventDefault();
+      ev.stopPropagation();
+    }
+    return;
+  }
+
+  // OK / Entrée sur une ligne ou une carte (div) → clic
+  if (ev.key === 'Enter' && !typing && !__channelNumberBuffer) {
+    const el = document.activeElement;
+    if (el && el !== document.body && !el.matches('button, a[href], input, select, textarea')) {
+      ev.preventDefault();
+      ev.stopPropagation();
+      el.click();
+    }
+  }
+}
+
+// Après playUrl / re-render : la ligne focalisée a été recréée → on y revient
+function __tvRestoreFocus() {
+  if (!tvMode) return;
+  requestAnimationFrame(() => {
+    const cur = document.activeElement;
+    if (cur && cur !== document.body && document.contains(cur)) return;
+
+    const top = __tvTopOverlay();
+    if (top) {
+      __tvFocus(top.el.querySelector(TV_OVERLAY_FOCUSABLE_SELECTOR));
+      return;
+    }
+
+    let target = null;
+    if (__tvLastFocus) {
+      target = document.querySelector(
+        '.list.active .channel-item[data-type="' + __tvLastFocus.type + '"][data-index="' + __tvLastFocus.index + '"]'
+      );
+    }
+    __tvFocus(target || document.querySelector('.list.active .channel-item.active') || document.querySelector('.tab-btn.active'));
+  });
+}
+
+function setTvMode(on, persist = true) {
+  tvMode = !!on;
+  document.body.classList.toggle('tv-mode', tvMode);
+  tvModeBtn?.classList.toggle('btn-accent', tvMode);
+  if (persist) TronStore.set('tvMode', tvMode);
+  if (tvMode) __tvRestoreFocus();
+}
+
+(function __initTvMode() {
+  const qs = new URLSearchParams(location.search);
+
+  if (qs.get('tv') === '1') setTvMode(true, true);
+  else if (qs.get('tv') === '0') setTvMode(false, true);
+  else {
+    // Détection d'abord, puis la préférence enregistrée dès que le store est prêt
+    setTvMode(TV_UA_RE.test(navigator.userAgent || ''), false);
+    TronStore.ready.then(() => {
+      const saved = TronStore.get('tvMode', null);
+      if (saved !== null && !!saved !== tvMode) setTvMode(!!saved, false);
+    });
+  }
+
+  // Phase de capture : passe avant les raccourcis (qui ignorent les events déjà traités)
+  document.addEventListener('keydown', handleTvKeydown, true);
+
+  document.addEventListener('focusin', (ev) => {
+    const row = ev.target && ev.target.closest && ev.target.closest('.channel-item');
+    if (row) __tvLastFocus = { type: row.dataset.type, index: row.dataset.index };
+  });
+
+  tvModeBtn?.addEventListener('click', () => setTvMode(!tvMode));
+
+  // Focus restauré après chaque lecture (les listes sont re-rendues par playUrl)
+  const __origPlayUrl = window.playUrl;
+  if (typeof __origPlayUrl === 'function' && !window.__tronTvWrapPlayUrl) {
+    window.__tronTvWrapPlayUrl = true;
+    window.playUrl = function(entry){
+      const out = __origPlayUrl(entry);
+      __tvRestoreFocus();
+      return out;
+    };
+  }
+})();
+
+// =====================================================
+// 🕘 HISTORIQUE (onglet + rangée « Reprendre » de la vitrine)
+// =====================================================
+
+// stableKey -> entrée des playlists chargées (1re occurrence)
+function __entriesByStableKey() {
+  const map = new Map();
+  for (const list of [frChannels, channels, iframeItems]) {
+    for (const e of list) {
+      const key = stableKeyForEntry(e);
+      if (key && !map.has(key)) map.set(key, e);
+    }
+  }
+  return map;
+}
+
+function __formatAgo(ms) {
+  const diff = Math.max(0, Date.now() - (ms || 0));
+  const min = Math.round(diff / 60000);
+  if (min < 1) return 'à l’instant';
+  if (min < 60) return 'il y a ' + min + ' min';
+  const h = Math.round(min / 60);
+  if (h < 24) return 'il y a ' + h + ' h';
+  const d = Math.round(h / 24);
+  if (d === 1) return 'hier';
+  if (d < 7) return 'il y a ' + d + ' j';
+  try { return new Date(ms).toLocaleDateString('fr-FR'); } catch { return ''; }
+}
+
+function __historyProgressLabel(item) {
+  if (item.watched) return 'Vu ✓';
+  if (!item.duration) return 'Direct';
+  return item.pct + ' % vu';
+}
+
+function __playHistoryItem(item, entry) {
+  if (!entry) {
+    showToast('« ' + (item.name || 'Sans titre') + ' » n’est plus dans les playlists chargées.');
+    return;
+  }
+  const frIdx = frChannels.indexOf(entry);
+  if (frIdx >= 0) return playFrChannel(frIdx);
+  const chIdx = channels.indexOf(entry);
+  if (chIdx >= 0) return playChannel(chIdx);
+  const ifIdx = iframeItems.indexOf(entry);
+  if (ifIdx >= 0) return playIframe(ifIdx);
+  playUrl(entry);
+}
+
+function __createHistoryRow(item, entry) {
+  const row = document.createElement('div');
+  row.className = 'channel-item history-item';
+  row.title = item.name || '';
+  if (!entry) row.classList.add('is-missing');
+  if (currentEntry && stableKeyForEntry(currentEntry) === item.key) row.classList.add('active');
+
+  const logoDiv = document.createElement('div');
+  logoDiv.className = 'channel-logo';
+  if (item.poster) {
+    const img = document.createElement('img');
+    img.src = item.poster;
+    img.alt = '';
+    try { img.loading = 'lazy'; } catch {}
+    logoDiv.appendChild(img);
+  } else {
+    logoDiv.textContent = deriveLogoFromName(item.name).value;
+  }
+
+  const metaDiv = document.createElement('div');
+  metaDiv.className = 'channel-meta';
+
+  const titleDiv = document.createElement('div');
+  titleDiv.className = 'channel-title';
+  setHighlightedText(titleDiv, normalizeName(item.name), searchTermsForField('name'));
+
+  const subDiv = document.createElement('div');
+  subDiv.className = 'channel-sub';
+  subDiv.textContent = __formatAgo(item.lastAt)
+    + (item.plays > 1 ? ' · ' + item.plays + ' lectures' : '')
+    + (entry ? '' : ' · indisponible');
+
+  const progress = document.createElement('div');
+  progress.className = 'history-progress';
+  const bar = document.createElement('div');
+  bar.className = 'history-progress-bar';
+  const fill = document.createElement('span');
+  fill.style.width = (item.watched ? 100 : (item.pct || 0)) + '%';
+  bar.appendChild(fill);
+  const label = document.createElement('span');
+  label.className = 'history-progress-label';
+  label.textContent = __historyProgressLabel(item);
+  progress.appendChild(bar);
+  progress.appendChild(label);
+
+  metaDiv.appendChild(titleDiv);
+  metaDiv.appendChild(subDiv);
+  metaDiv.appendChild(progress);
+
+  const actionsDiv = document.createElement('div');
+  actionsDiv.className = 'channel-actions';
+
+  const watchedBtn = document.createElement('button');
+  watchedBtn.className = 'icon-btn';
+  watchedBtn.textContent = item.watched ? '↺' : '✓';
+  watchedBtn.title = item.watched ? 'Marquer comme non vu' : 'Marquer comme vu';
+  watchedBtn.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    setHistoryWatched(item.key, !item.watched);
+    renderHistoryList();
+  });
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'icon-btn';
+  removeBtn.textContent = '✕';
+  removeBtn.title = 'Retirer de l’historique';
+  removeBtn.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    removeHistoryItem(item.key);
+    renderHistoryList();
+  });
+
+  actionsDiv.appendChild(watchedBtn);
+  actionsDiv.appendChild(removeBtn);
+
+  row.appendChild(logoDiv);
+  row.appendChild(metaDiv);
+  row.appendChild(actionsDiv);
+
+  // Pas d'autoplay à l'ouverture de l'onglet : lecture au clic seulement
+  row.addEventListener('click', () => __playHistoryItem(item, entry));
+  return row;
+}
+
+function renderHistoryList() {
+  if (!historyListEl) return;
+  historyListEl.innerHTML = '';
+
+  const byKey = __entriesByStableKey();
+  const items = getHistoryItems().filter(it => {
+    const entry = byKey.get(it.key);
+    return matchesSearch({ name: it.name }) && !(entry && isEntryHidden(entry));
+  });
+
+  if (!items.length) {
+    const empty = document.createElement('div');
+    empty.className = 'history-empty';
+    empty.textContent = currentSearch ? 'Aucun résultat dans l’historique.' : 'Aucun visionnage pour le moment 🕘';
+    historyListEl.appendChild(empty);
+    return;
+  }
+
+  const frag = document.createDocumentFragment();
+  for (const item of items) frag.appendChild(__createHistoryRow(item, byKey.get(item.key) || null));
+  historyListEl.appendChild(frag);
+}
+
+// Rangée « Reprendre » (films en cours) en tête de la vitrine
+function __createContinueWatchingSection() {
+  const byKey = __entriesByStableKey();
+  const items = [];
+  for (const it of getContinueWatchingItems()) {
+    const entry = byKey.get(it.key);
+    const index = entry && !isEntryHidden(entry) ? channels.indexOf(entry) : -1;
+    if (index >= 0) items.push({ item: it, entry, index });
+  }
+  if (!items.length) return null;
+
+  const section = document.createElement('div');
+  section.className = 'showcase-section showcase-section--continue';
+
+  const header = document.createElement('div');
+  header.className = 'showcase-section-title';
+  const hName = document.createElement('div');
+  hName.className = 'name';
+  hName.textContent = '▶ Reprendre';
+  const hCount = document.createElement('div');
+  hCount.className = 'count';
+  hCount.textContent = String(items.length);
+  header.appendChild(hName);
+  header.appendChild(hCount);
+
+  const row = document.createElement('div');
+  row.className = 'showcase-row';
+
+  for (const { item, entry, index } of items) {
+    const card = __createShowcaseCard(entry, index, false);
+
+    const poster = card.querySelector('.poster');
+    if (poster) {
+      const bar = document.createElement('div');
+      bar.className = 'showcase-progress';
+      const fill = document.createElement('span');
+      fill.style.width = item.pct + '%';
+      bar.appendChild(fill);
+      poster.appendChild(bar);
+    }
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'showcase-remove';
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Retirer de « Reprendre »';
+    removeBtn.addEventListener('click', (ev) => {
+      ev.stopPropagation();
+      setHistoryWatched(item.key, true);
+      renderShowcase();
+      if (historyListEl?.classList.contains('active')) renderHistoryList();
+    });
+    card.appendChild(removeBtn);
+
+    row.appendChild(card);
+  }
+
+  section.appendChild(header);
+  section.appendChild(row);
+  return section;
+}
+
+// =====================================================
+// 👤 PROFILS - UI (sélecteur au démarrage, édition, PIN)
+// =====================================================
+// TronStore 'profiles' = [{ id, name, avatar, pinHash, maturity, audioLangs, subtitleLangs }]
+// maturity : âge max des certifications autorisées (null = aucune limite).
+const PROFILE_AVATARS = ['🙂', '😎', '🤖', '🦊', '🐼', '🦄', '🐯', '👾', '🚀', '⚽', '🎮', '🎬'];
+const PROFILE_PIN_RE = /^\d{4,8}$/;
+
+const profileBtn = document.getElementById('profileBtn');
+const profileOverlayEl = document.getElementById('profileOverlay');
+const profileGridEl = document.getElementById('profileGrid');
+const profileCloseBtn = document.getElementById('profileCloseBtn');
+const profileManageBtn = document.getElementById('profileManageBtn');
+const profileGridActionsEl = document.getElementById('profileGridActions');
+const profilePinForm = document.getElementById('profilePinForm');
+const profilePinLabel = document.getElementById('profilePinLabel');
+const profilePinInput = document.getElementById('profilePinInput');
+const profilePinError = document.getElementById('profilePinError');
+const profilePinCancelBtn = document.getElementById('profilePinCancelBtn');
+const profileEditForm = document.getElementById('profileEditForm');
+const profileNameInput = document.getElementById('profileNameInput');
+const profileAvatarSelect = document.getElementById('profileAvatarSelect');
+const profileEditPinInput = document.getElementById('profileEditPinInput');
+const profilePinClearRow = document.getElementById('profilePinClearRow');
+const profilePinClearInput = document.getElementById('profilePinClearInput');
+const profileMaturitySelect = document.getElementById('profileMaturitySelect');
+const profileAudioLangsInput = document.getElementById('profileAudioLangsInput');
+const profileSubtitleLangsInput = document.getElementById('profileSubtitleLangsInput');
+const profileEditError = document.getElementById('profileEditError');
+const profileDeleteBtn = document.getElementById('profileDeleteBtn');
+const profileEditCancelBtn = document.getElementById('profileEditCancelBtn');
+
+let profileManageMode = false;
+let __profileEditingId = '';       // '' = nouveau profil
+let __pinRequest = null;           // { verify(pin) → Promise<bool>, onOk, standalone }
+
+function getProfiles() {
+  const list = TronStore.get('profiles', []);
+  return Array.isArray(list) ? list : [];
+}
+
+function getActiveProfile() {
+  return getProfiles().find(p => p.id === activeProfileId) || null;
+}
+
+function __saveProfiles(list) {
+  TronStore.set('profiles', list);
+}
+
+// SHA-256 (salé par l'id du profil) ; hors contexte sécurisé (http://), SubtleCrypto
+// n'existe pas : FNV-1a, pour ne jamais stocker le PIN en clair.
+async function hashProfilePin(profileId, pin) {
+  const text = 'tronAres:' + profileId + ':' + pin;
+  if (window.crypto?.subtle && window.TextEncoder) {
+    const buf = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return 'sha256:' + [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return 'fnv:' + h.toString(16);
+}
+
+async function verifyProfilePin(profile, pin) {
+  if (!profile?.pinHash) return true;
+  try { return (await hashProfilePin(profile.id, String(pin || '').trim())) === profile.pinHash; } catch { return false; }
+}
+
+function __updateProfileButton() {
+  const profile = getActiveProfile();
+  if (!profileBtn) return;
+  profileBtn.textContent = profile ? (profile.avatar || '🙂') + ' ' + profile.name : '👤 Profil';
+  profileBtn.title = profile ? 'Profil : ' + profile.name + ' (changer)' : 'Choisir un profil';
+}
+
+// Charge tout l'état persistant du profil (favoris, historique, reprises, thème, sous-titres)
+function activateProfile(id) {
+  const profile = getProfiles().find(p => p.id === id);
+  if (!profile) return false;
+
+  TronStore.flush();
+  hideResumePrompt();
+  activeProfileId = profile.id;
+  parentalUnlockedKeys.clear();
+  TronStore.set('lastProfile', profile.id);
+
+  __loadFavorites();
+  __loadHistory();
+  __loadResumePositions();
+  __loadEpgReminders();
+  __loadPreferredMaxHeight();
+  loadShortcuts();
+  applyTheme(TronStore.get(__profileKey('theme'), 'classic'), false);
+  applySubtitlePrefs({
+    languages: profile.subtitleLangs || subtitleSearchLangInput?.defaultValue || '',
+    ...(TronStore.get(__profileKey('subtitlePrefs'), null) || {})
+  }, false);
+
+  __updateProfileButton();
+  if (currentEntry && isEntryRestricted(currentEntry)) __stopRestrictedPlayback();
+  __refreshParentalViews();
+  trackFirstSeenAdditions();
+
+  __resolveProfileReady?.();
+  __resolveProfileReady = null;
+  setStatus('Profil : ' + profile.name);
+  return true;
+}
+
+function __showProfilePane(pane) {
+  profileGridEl?.classList.toggle('hidden', pane !== 'grid');
+  profileGridActionsEl?.classList.toggle('hidden', pane !== 'grid');
+  profilePinForm?.classList.toggle('hidden', pane !== 'pin');
+  profileEditForm?.classList.toggle('hidden', pane !== 'edit');
+  parentalForm?.classList.toggle('hidden', pane !== 'parental');
+}
+
+function __currentProfilePane() {
+  if (profilePinForm && !profilePinForm.classList.contains('hidden')) return 'pin';
+  if (profileEditForm && !profileEditForm.classList.contains('hidden')) return 'edit';
+  if (parentalForm && !parentalForm.classList.contains('hidden')) return 'parental';
+  return 'grid';
+}
+
+function renderProfileGrid(focusId = '') {
+  if (!profileGridEl) return;
+  profileGridEl.innerHTML = '';
+
+  for (const profile of getProfiles()) {
+    const card = document.createElement('button');
+    card.type = 'button';
+    card.className = 'profile-card';
+    card.dataset.profileId = profile.id;
+    if (profile.id === activeProfileId) card.classList.add('active');
+
+    const avatar = document.createElement('span');
+    avatar.className = 'profile-avatar';
+    avatar.textContent = profile.avatar || '🙂';
+
+    const name = document.createElement('span');
+    name.className = 'profile-name';
+    name.textContent = profile.name;
+
+    card.append(avatar, name);
+    if (profile.pinHash) {
+      const lock = document.createElement('span');
+      lock.className = 'profile-lock';
+      lock.textContent = '🔒';
+      lock.title = 'Protégé par PIN';
+      card.appendChild(lock);
+    }
+    if (profileManageMode) card.classList.add('editing');
+    card.addEventListener('click', () => __onProfileCardClick(profile));
+    profileGridEl.appendChild(card);
+  }
+
+  if (profileManageMode) {
+    const add = document.createElement('button');
+    add.type = 'button';
+    add.className = 'profile-card profile-card-add';
+    add.innerHTML = '<span class="profile-avatar">➕</span><span class="profile-name">Ajouter</span>';
+    add.addEventListener('click', () => openProfileEditor(null));
+    profileGridEl.appendChild(add);
+  }
+
+  if (profileManageBtn) profileManageBtn.textContent = profileManageMode ? 'Terminé' : '✎ Gérer les profils';
+
+  const focusEl = (focusId && profileGridEl.querySelector(`[data-profile-id="${CSS.escape(focusId)}"]`)) ||
+    profileGridEl.querySelector('.profile-card');
+  try { focusEl?.focus({ preventScroll: true }); } catch {}
+}
+
+function __onProfileCardClick(profile) {
+  const go = () => {
+    if (profileManageMode) {
+      openProfileEditor(profile);
+    } else {
+      activateProfile(profile.id);
+      closeProfilePicker();
+    }
+  };
+  if (profile.pinHash && profile.id !== activeProfileId) askProfilePin(profile, go);
+  else go();
+}
+
+// Demande de PIN générique (profil, contrôle parental) ; hors sélecteur, ouvre l'overlay seul
+function askPin(label, verify, onOk) {
+  const standalone = !!profileOverlayEl && profileOverlayEl.classList.contains('hidden');
+  __pinRequest = { verify, onOk, standalone };
+  if (standalone) {
+    profileCloseBtn?.classList.remove('hidden');
+    profileOverlayEl.classList.remove('hidden');
+    profileOverlayEl.setAttribute('aria-hidden', 'false');
+  }
+  if (profilePinLabel) profilePinLabel.textContent = label;
+  if (profilePinError) profilePinError.textContent = '';
+  if (profilePinInput) profilePinInput.value = '';
+  __showProfilePane('pin');
+  try { profilePinInput?.focus(); } catch {}
+}
+
+function askProfilePin(profile, onOk) {
+  askPin('PIN de ' + (profile.avatar || '') + ' ' + profile.name, (pin) => verifyProfilePin(profile, pin), onOk);
+}
+
+function openProfileEditor(profile) {
+  __profileEditingId = profile ? profile.id : '';
+  if (profileNameInput) profileNameInput.value = profile ? profile.name : '';
+  if (profileAvatarSelect) {
+    if (!profileAvatarSelect.options.length) {
+      for (const a of PROFILE_AVATARS) profileAvatarSelect.add(new Option(a, a));
+    }
+    profileAvatarSelect.value = profile?.avatar || PROFILE_AVATARS[getProfiles().length % PROFILE_AVATARS.length];
+  }
+  if (profileEditPinInput) {
+    profileEditPinInput.value = '';
+    profileEditPinInput.placeholder = profile?.pinHash ? 'Inchangé' : 'Aucun';
+  }
+  if (profilePinClearInput) profilePinClearInput.checked = false;
+  profilePinClearRow?.classList.toggle('hidden', !profile?.pinHash);
+  if (profileMaturitySelect) profileMaturitySelect.value = profile?.maturity == null ? '' : String(profile.maturity);
+  if (profileAudioLangsInput) profileAudioLangsInput.value = profile?.audioLangs || '';
+  if (profileSubtitleLangsInput) profileSubtitleLangsInput.value = profile?.subtitleLangs || '';
+  if (profileEditError) profileEditError.textContent = '';
+  profileDeleteBtn?.classList.toggle('hidden', !profile);
+  __showProfilePane('edit');
+  try { profileNameInput?.focus(); } catch {}
+}
+
+async function saveProfileFromEditor() {
+  const name = (profileNameInput?.value || '').trim();
+  const pin = (profileEditPinInput?.value || '').trim();
+  if (!name) {
+    if (profileEditError) profileEditError.textContent = 'Donne un nom au profil.';
+    return;
+  }
+  if (pin && !PROFILE_PIN_RE.test(pin)) {
+    if (profileEditError) profileEditError.textContent = 'Le PIN doit faire 4 à 8 chiffres.';
+    return;
+  }
+
+  const list = getProfiles().slice();
+  const existing = list.find(p => p.id === __profileEditingId);
+  const profile = existing ? { ...existing } : { id: 'p' + Date.now().toString(36), pinHash: '' };
+  const maturityRaw = profileMaturitySelect?.value ?? '';
+
+  profile.name = name.slice(0, 24);
+  profile.avatar = profileAvatarSelect?.value || '🙂';
+  profile.maturity = maturityRaw === '' ? null : Number(maturityRaw);
+  profile.audioLangs = (profileAudioLangsInput?.value || '').trim();
+  profile.subtitleLangs = (profileSubtitleLangsInput?.value || '').trim();
+  if (pin) profile.pinHash = await hashProfilePin(profile.id, pin);
+  else if (profilePinClearInput?.checked) profile.pinHash = '';
+
+  if (existing) list[list.indexOf(existing)] = profile;
+  else list.push(profile);
+  __saveProfiles(list);
+
+  if (profile.id === activeProfileId) __updateProfileButton();
+  __showProfilePane('grid');
+  renderProfileGrid(profile.id);
+}
+
+function deleteProfileFromEditor() {
+  const list = getProfiles();
+  const profile = list.find(p => p.id === __profileEditingId);
+  if (!profile) return;
+  if (profile.id === activeProfileId) {
+    if (profileEditError) profileEditError.textContent = 'Passe sur un autre profil pour supprimer celui-ci.';
+    return;
+  }
+  if (!confirm('Supprimer le profil « ' + profile.name + ' » et ses favoris, historique et reprises ?')) return;
+
+  __saveProfiles(list.filter(p => p.id !== profile.id));
+  for (const k of TronStore.keys(TronStore.profileKey(profile.id, ''))) TronStore.delete(k);
+  __showProfilePane('grid');
+  renderProfileGrid();
+}
+
+function openProfilePicker(opts = {}) {
+  if (!profileOverlayEl) return;
+  profileManageMode = !!opts.manage;
+  // Au démarrage (aucun profil actif), on ne peut pas fermer sans choisir
+  profileCloseBtn?.classList.toggle('hidden', !activeProfileId);
+  __showProfilePane('grid');
+  profileOverlayEl.classList.remove('hidden');
+  profileOverlayEl.setAttribute('aria-hidden', 'false');
+  renderProfileGrid(opts.focusId || activeProfileId);
+}
+
+function closeProfilePicker() {
+  if (!profileOverlayEl || !activeProfileId) return;
+  profileOverlayEl.classList.add('hidden');
+  profileOverlayEl.setAttribute('aria-hidden', 'true');
+}
+
+// Échap / Retour : PIN ou édition → grille → fermeture
+function __profileBack() {
+  if (__currentProfilePane() === 'pin' && __pinRequest?.standalone) {
+    __pinRequest = null;
+    closeProfilePicker();
+    return;
+  }
+  __pinRequest = null;
+  if (__currentProfilePane() !== 'grid') {
+    __showProfilePane('grid');
+    renderProfileGrid();
+  } else {
+    closeProfilePicker();
+  }
+}
+
+// --- Langues audio / sous-titres préférées du profil actif ---
+const __LANG_ALIASES = { fra: 'fr', fre: 'fr', eng: 'en', por: 'pt', spa: 'es', deu: 'de', ger: 'de', ita: 'it' };
+
+function __langBase(lang) {
+  const base = String(lang || '').trim().toLowerCase().split(/[-_]/)[0];
+  return __LANG_ALIASES[base] || base;
+}
+
+function __profileLangList(csv) {
+  return String(csv || '').split(',').map(__langBase).filter(Boolean);
+}
+
+function __findLangIndex(tracks, prefs) {
+  for (const want of prefs) {
+    const i = (tracks || []).findIndex(t => __langBase(t?.lang || t?.language || t?.idLanguage) === want);
+    if (i >= 0) return i;
+  }
+  return -1;
+}
+
+// Appelée une fois par manifeste (MANIFEST_PARSED / STREAM_INITIALIZED)
+function applyProfileTrackLanguages() {
+  const profile = getActiveProfile();
+  if (!profile) return;
+  const audioPrefs = __profileLangList(profile.audioLangs);
+  const subPrefs = __profileLangList(profile.subtitleLangs);
+
+  try {
+    if (hlsInstance) {
+      const a = __findLangIndex(hlsInstance.audioTracks, audioPrefs);
+      if (a >= 0 && a !== hlsInstance.audioTrack) hlsInstance.audioTrack = a;
+      const s = __findLangIndex(hlsInstance.subtitleTracks, subPrefs);
+      if (s >= 0) hlsInstance.subtitleTrack = s;
+    } else if (dashInstance && typeof dashInstance.getTracksFor === 'function') {
+      const a = __findLangIndex(dashInstance.getTracksFor('audio'), audioPrefs);
+      if (a >= 0) setAudioTrack(a);
+      const texts = dashInstance.getTracksFor('text') || [];
+      const s = __findLangIndex(texts, subPrefs);
+      if (s >= 0 && typeof dashInstance.setCurrentTrackFor === 'function') dashInstance.setCurrentTrackFor('text', texts[s]);
+    }
+  } catch (e) {
+    console.warn('[Profils] langues préférées', e);
+  }
+}
+
+profileBtn?.addEventListener('click', () => openProfilePicker());
+profileCloseBtn?.addEventListener('click', closeProfilePicker);
+profileManageBtn?.addEventListener('click', () => {
+  const toggle = () => {
+    profileManageMode = !profileManageMode;
+    __showProfilePane('grid');
+    renderProfileGrid();
+  };
+  // Créer / modifier des profils (et leur limite d'âge) : PIN parental s'il existe
+  if (!profileManageMode && getParentalSettings().pinHash) askPin('🛡 PIN parental', verifyParentalPin, toggle);
+  else toggle();
+});
+profilePinCancelBtn?.addEventListener('click', __profileBack);
+profileEditCancelBtn?.addEventListener('click', __profileBack);
+profileDeleteBtn?.addEventListener('click', deleteProfileFromEditor);
+
+profilePinForm?.addEventListener('submit', async (ev) => {
+  ev.preventDefault();
+  const req = __pinRequest;
+  if (!req) return __profileBack();
+  if (await req.verify(profilePinInput?.value || '')) {
+    __pinRequest = null;
+    if (req.standalone) closeProfilePicker();
+    req.onOk?.();
+  } else {
+    if (profilePinError) profilePinError.textContent = 'PIN incorrect';
+    if (profilePinInput) { profilePinInput.value = ''; profilePinInput.focus(); }
+  }
+});
+
+profileEditForm?.addEventListener('submit', (ev) => {
+  ev.preventDefault();
+  saveProfileFromEditor();
+});
+
+profileOverlayEl?.addEventListener('keydown', (ev) => {
+  if (ev.key !== 'Escape') return;
+  ev.preventDefault();
+  ev.stopPropagation();
+  __profileBack();
+});
+
+// Démarrage : un seul profil sans PIN → pas de question ; sinon sélecteur
+TronStore.ready.then(() => {
+  let profiles = getProfiles();
+  if (!profiles.length) {
+    profiles = [{ id: 'p1', name: 'Profil 1', avatar: '🙂', pinHash: '', maturity: null, audioLangs: '', subtitleLangs: '' }];
+    __saveProfiles(profiles);
+  }
+  if (profiles.length === 1 && !profiles[0].pinHash) activateProfile(profiles[0].id);
+  else openProfilePicker({ focusId: TronStore.get('lastProfile', '') });
+});
+
+// =====================================================
+// 🛡 CONTRÔLE PARENTAL - UI (PIN, mode, groupes adultes)
+// =====================================================
+const parentalSettingsBtn = document.getElementById('parentalSettingsBtn');
+const parentalForm = document.getElementById('parentalForm');
+const parentalPinInput = document.getElementById('parentalPinInput');
+const parentalPinClearRow = document.getElementById('parentalPinClearRow');
+const parentalPinClearInput = document.getElementById('parentalPinClearInput');
+const parentalModeSelect = document.getElementById('parentalModeSelect');
+const parentalGroupPatternInput = document.getElementById('parentalGroupPatternInput');
+const parentalError = document.getElementById('parentalError');
+const parentalCancelBtn = document.getElementById('parentalCancelBtn');
+
+async function verifyParentalPin(pin) {
+  const { pinHash } = getParentalSettings();
+  if (!pinHash) return true;
+  try { return (await hashProfilePin('parental', String(pin || '').trim())) === pinHash; } catch { return false; }
+}
+
+// Listes, vitrine, historique : à refaire après tout changement de profil / réglage / déblocage
+function __refreshParentalViews() {
+  renderLists();
+  try { if (historyListEl?.classList.contains('active')) renderHistoryList(); } catch {}
+  try { if (showcaseOverlay && !showcaseOverlay.classList.contains('hidden')) renderShowcase(); } catch {}
+}
+
+function __stopRestrictedPlayback() {
+  try { destroyHls(); } catch {}
+  try { destroyDash(); } catch {}
+  try { videoEl?.pause(); videoEl?.removeAttribute('src'); videoEl?.load(); } catch {}
+  try { if (iframeEl) iframeEl.src = 'about:blank'; } catch {}
+  setStatus('Lecture arrêtée (contrôle parental)');
+}
+
+function requestParentalUnlock(entry, onOk) {
+  const name = normalizeName(entry?.name || '');
+  if (!getParentalSettings().pinHash) {
+    showToast('🔒 « ' + name + ' » dépasse la limite de ce profil. Définis un PIN parental (👤 → 🛡) pour pouvoir le débloquer.');
+    return;
+  }
+  askPin('🔒 PIN parental pour « ' + name + ' »', verifyParentalPin, () => {
+    const key = stableKeyForEntry(entry);
+    if (key) parentalUnlockedKeys.add(key);
+    __refreshParentalViews();
+    onOk?.();
+  });
+}
+
+function openParentalSettings() {
+  const settings = getParentalSettings();
+  if (parentalPinInput) {
+    parentalPinInput.value = '';
+    parentalPinInput.placeholder = settings.pinHash ? 'Inchangé' : 'Aucun';
+  }
+  if (parentalPinClearInput) parentalPinClearInput.checked = false;
+  parentalPinClearRow?.classList.toggle('hidden', !settings.pinHash);
+  if (parentalModeSelect) parentalModeSelect.value = settings.mode;
+  if (parentalGroupPatternInput) {
+    parentalGroupPatternInput.value = settings.groupPattern;
+    parentalGroupPatternInput.placeholder = PARENTAL_DEFAULT_GROUP_PATTERN;
+  }
+  if (parentalError) parentalError.textContent = '';
+  __showProfilePane('parental');
+  try { parentalPinInput?.focus(); } catch {}
+}
+
+async function saveParentalSettings() {
+  const settings = getParentalSettings();
+  const pin = (parentalPinInput?.value || '').trim();
+  const pattern = (parentalGroupPatternInput?.value || '').trim();
+
+  if (pin && !PROFILE_PIN_RE.test(pin)) {
+    if (parentalError) parentalError.textContent = 'Le PIN doit faire 4 à 8 chiffres.';
+    return;
+  }
+  try { if (pattern) new RegExp(pattern, 'i'); } catch {
+    if (parentalError) parentalError.textContent = 'Motif de groupes invalide (expression régulière).';
+    return;
+  }
+
+  let pinHash = settings.pinHash;
+  if (pin) pinHash = await hashProfilePin('parental', pin);
+  else if (parentalPinClearInput?.checked) pinHash = '';
+
+  TronStore.set('parental', {
+    pinHash,
+    mode: parentalModeSelect?.value === 'hide' ? 'hide' : 'lock',
+    groupPattern: pattern
+  });
+  parentalUnlockedKeys.clear();
+  if (currentEntry && isEntryRestricted(currentEntry)) __stopRestrictedPlayback();
+  __refreshParentalViews();
+
+  __showProfilePane('grid');
+  renderProfileGrid();
+  setStatus('Contrôle parental enregistré');
+}
+
+parentalSettingsBtn?.addEventListener('click', () => {
+  if (getParentalSettings().pinHash) askPin('🛡 PIN parental', verifyParentalPin, openParentalSettings);
+  else openParentalSettings();
+});
+parentalCancelBtn?.addEventListener('click', __profileBack);
+parentalForm?.addEventListener('submit', (ev) => {
+  ev.preventDefault();
+  saveParentalSettings();
+});
+
+// =====================================================
+// 📲 PWA (service worker versionné + mise à jour)
+// =====================================================
+// À incrémenter à chaque déploiement : nouveau cache "shell" côté sw.js
+const APP_BUILD = '2026.10.19-1';
+
+let swUpdateRequested = false;
+
+function __promptServiceWorkerUpdate(worker) {
+  if (!worker) return;
+  showToast('Mise à jour disponible', {
+    timeoutMs: 0,
+    actions: [{
+      label: 'Recharger',
+      onClick: () => {
+        swUpdateRequested = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+      }
+    }]
+  });
+}
+
+function __watchServiceWorkerUpdates(reg) {
+  // Un worker attend déjà (mise à jour téléchargée lors d'une visite précédente)
+  if (reg.waiting && navigator.serviceWorker.controller) __promptServiceWorkerUpdate(reg.waiting);
+
+  reg.addEventListener('updatefound', () => {
+    const worker = reg.installing;
+    worker?.addEventListener('statechange', () => {
+      // Premier install : pas de contrôleur, rien à proposer
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) __promptServiceWorkerUpdate(worker);
+    });
+  });
+}
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!swUpdateRequested) return;
+    swUpdateRequested = false;
+    location.reload();
+  });
+
+  navigator.serviceWorker
+    .register('sw.js?v=' + encodeURIComponent(APP_BUILD))
+    .then(__watchServiceWorkerUpdates)
+    .catch(err => console.warn('[PWA] Service worker non enregistré', err));
+}
+
+window.addEventListener('load', registerServiceWorker);
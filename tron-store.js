@@ -0,0 +1,320 @@
+/**
+ * Stockage persistant (Tron Ares) — IndexedDB
+ *
+ * Objectif:
+ * - Un seul point d'entrée asynchrone pour l'état persistant, à la place des
+ *   clés localStorage éparpillées (chacune avec son propre throttling).
+ * - Schémas versionnés (onupgradeneeded) + migrations de données depuis les
+ *   anciennes clés localStorage (copiées une fois, puis supprimées).
+ * - De la place pour les gros volumes : EPG, métadonnées d'affiches, playlists en cache.
+ *
+ * Object stores:
+ *  - kv        : petites valeurs clé -> valeur, gardées en mémoire (lecture synchrone après ready)
+ *  - epg       : { url, ... }   (guides XMLTV)
+ *  - posters   : { key, ... }   (métadonnées TMDb / affiches)
+ *  - playlists : { url, ... }   (playlists M3U en cache)
+ *
+ * API (window.TronStore):
+ *  - ready                      Promise résolue une fois la base ouverte et migrée
+ *  - get(key, fallback)         lecture kv (synchrone, depuis le cache mémoire)
+ *  - set(key, value)            écriture kv (regroupée, écrite en une transaction)
+ *  - delete(key) / flush() / keys(prefix)
+ *  - profileKey(profileId, key) clé kv d'un profil : "p:<id>:<key>"
+ *  - getRecord(store, key) / putRecord(store, value) / deleteRecord(store, key) / getAllRecords(store)
+ *
+ * Sans IndexedDB (navigation privée, webview limitée…), le kv retombe sur
+ * localStorage ('tronAresStore') et les gros stores restent en mémoire.
+ */
+
+(function () {
+  const DB_NAME = 'tronAres';
+  const DB_VERSION = 1;
+  const KV_STORE = 'kv';
+  const DATA_VERSION_KEY = '__dataVersion';
+  const FALLBACK_LS_KEY = 'tronAresStore';
+  const FLUSH_DELAY_MS = 800;
+
+  // Migrations de schéma : index = version atteinte (1 → création des stores)
+  const SCHEMA_MIGRATIONS = [
+    null,
+    (db) => {
+      db.createObjectStore(KV_STORE);
+      db.createObjectStore('epg', { keyPath: 'url' });
+      db.createObjectStore('posters', { keyPath: 'key' });
+      db.createObjectStore('playlists', { keyPath: 'url' });
+    },
+  ];
+
+  // Anciennes clés localStorage -> clé kv
+  const LEGACY_LS_KEYS = [
+    { ls: 'tronAresResume', key: 'resume', parse: JSON.parse },
+    { ls: 'tronAresUid', key: 'uid', parse: Number },
+    { ls: 'tronAresMpdQualityCacheV1', key: 'mpdQualityCache', parse: JSON.parse },
+    { ls: 'tron_os_api_key', key: 'osApiKey', parse: String },
+    { ls: 'tron_torrents_rect_v1', key: 'torrents', parse: JSON.parse },
+    { ls: 'tronAresFavorites', key: 'favorites', parse: JSON.parse },
+    { ls: 'tronAresHistory', key: 'history', parse: JSON.parse },
+  ];
+
+  // v3 : clés ajoutées hors store (relais, qualité, EPG, rappels, raccourcis, mode TV)
+  const LEGACY_LS_KEYS_V3 = [
+    { ls: 'tronAresRelayBase', key: 'relayBase', parse: String },
+    { ls: 'tronAresMaxHeight', key: 'maxHeight', parse: Number },
+    { ls: 'tronAresEpgUrl', key: 'epgUrl', parse: String },
+    { ls: 'tronAresEpgReminders', key: 'epgReminders', parse: JSON.parse },
+    { ls: 'tronAresShortcuts', key: 'shortcuts', parse: JSON.parse },
+    { ls: 'tronAresTvMode', key: 'tvMode', parse: (raw) => raw === '1' },
+  ];
+
+  const DEFAULT_PROFILE_ID = 'p1';
+  // État propre à chaque profil (favoris, historique, reprises, thème, sous-titres…)
+  const PROFILE_SCOPED_KEYS = ['favorites', 'history', 'resume', 'theme', 'subtitlePrefs'];
+  // v4 : rappels EPG, raccourcis et plafond de qualité passent aussi par profil.
+  // Restent communs à l'appareil : tvMode (écran / télécommande), relayBase et epgUrl (réseau local).
+  const PROFILE_SCOPED_KEYS_V4 = ['epgReminders', 'shortcuts', 'maxHeight'];
+
+  function profileKey(profileId, key) {
+    return 'p:' + profileId + ':' + key;
+  }
+
+  // L'état global existant devient celui du premier profil
+  function __moveToDefaultProfile(kv, keys) {
+    for (const key of keys) {
+      if (!kv.has(key)) continue;
+      const pk = profileKey(DEFAULT_PROFILE_ID, key);
+      if (!kv.has(pk)) kv.set(pk, kv.get(key));
+      kv.delete(key);
+    }
+  }
+
+  // Copie les anciennes clés localStorage dans le kv, puis les supprime
+  function __migrateLegacyLsKeys(kv, list) {
+    for (const { ls, key, parse } of list) {
+      let raw = null;
+      try { raw = localStorage.getItem(ls); } catch {}
+      if (raw == null) continue;
+      if (!kv.has(key)) {
+        try { kv.set(key, parse(raw)); } catch { continue; }
+      }
+      try { localStorage.removeItem(ls); } catch {}
+    }
+  }
+
+  // Migrations de données : index = version atteinte
+  const DATA_MIGRATIONS = [
+    null,
+    (kv) => __migrateLegacyLsKeys(kv, LEGACY_LS_KEYS),
+    // v2 : profils — l'état global existant devient celui du premier profil
+    (kv) => {
+      if (!Array.isArray(kv.get('profiles'))) {
+        kv.set('profiles', [{ id: DEFAULT_PROFILE_ID, name: 'Profil 1', avatar: '🙂', pinHash: '', maturity: null, audioLangs: '', subtitleLangs: '' }]);
+      }
+      __moveToDefaultProfile(kv, PROFILE_SCOPED_KEYS);
+    },
+    (kv) => __migrateLegacyLsKeys(kv, LEGACY_LS_KEYS_V3),
+    (kv) => __moveToDefaultProfile(kv, PROFILE_SCOPED_KEYS_V4),
+  ];
+  const DATA_VERSION = DATA_MIGRATIONS.length - 1;
+
+  const kvCache = new Map();
+  const dirtyKeys = new Set();
+  const memStores = new Map(); // fallback des gros stores (store -> Map)
+  let db = null;
+  let flushTimer = null;
+
+  function __req(r) {
+    return new Promise((resolve, reject) => {
+      r.onsuccess = () => resolve(r.result);
+      r.onerror = () => reject(r.error);
+    });
+  }
+
+  function __txDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function __openDb() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB indisponible'));
+      const r = indexedDB.open(DB_NAME, DB_VERSION);
+      r.onupgradeneeded = (ev) => {
+        const d = r.result;
+        for (let v = (ev.oldVersion || 0) + 1; v <= DB_VERSION; v++) SCHEMA_MIGRATIONS[v]?.(d, r.transaction);
+      };
+      r.onsuccess = () => resolve(r.result);
+      r.onerror = () => reject(r.error);
+      r.onblocked = () => reject(new Error('IndexedDB bloquée (autre onglet ?)'));
+    });
+  }
+
+  async function __loadKv() {
+    const tx = db.transaction(KV_STORE, 'readonly');
+    const store = tx.objectStore(KV_STORE);
+    const [keys, values] = await Promise.all([__req(store.getAllKeys()), __req(store.getAll())]);
+    // Une valeur écrite avant ready (set() au démarrage) est plus récente : on la garde
+    keys.forEach((k, i) => { if (!dirtyKeys.has(k)) kvCache.set(k, values[i]); });
+  }
+
+  function __loadFallbackKv() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(FALLBACK_LS_KEY) || '{}') || {};
+      for (const [k, v] of Object.entries(saved)) {
+        if (!dirtyKeys.has(k)) kvCache.set(k, v);
+      }
+    } catch {}
+  }
+
+  function __runDataMigrations() {
+    const from = Number(kvCache.get(DATA_VERSION_KEY)) || 0;
+    if (from >= DATA_VERSION) return;
+    const before = new Map(kvCache);
+    for (let v = from + 1; v <= DATA_VERSION; v++) {
+      try { DATA_MIGRATIONS[v]?.(kvCache); } catch (e) { console.warn('[TronStore] migration', v, e); }
+    }
+    kvCache.set(DATA_VERSION_KEY, DATA_VERSION);
+    for (const [k, v] of kvCache) {
+      if (before.get(k) !== v) dirtyKeys.add(k);
+    }
+    for (const k of before.keys()) {
+      if (!kvCache.has(k)) dirtyKeys.add(k);
+    }
+  }
+
+  // Le backend (IndexedDB ou repli localStorage) n'est connu qu'après ready
+  async function flush() {
+    if (flushTimer) { clearTimeout(flushTimer); flushTimer = null; }
+    await ready;
+    await __flushNow();
+  }
+
+  async function __flushNow() {
+    if (!dirtyKeys.size) return;
+    const keys = [...dirtyKeys];
+    dirtyKeys.clear();
+
+    if (!db) {
+      try { localStorage.setItem(FALLBACK_LS_KEY, JSON.stringify(Object.fromEntries(kvCache))); } catch {}
+      return;
+    }
+    try {
+      const tx = db.transaction(KV_STORE, 'readwrite');
+      const store = tx.objectStore(KV_STORE);
+      for (const k of keys) {
+        if (kvCache.has(k)) store.put(kvCache.get(k), k);
+        else store.delete(k);
+      }
+      await __txDone(tx);
+    } catch (e) {
+      // on retentera au prochain flush
+      keys.forEach(k => dirtyKeys.add(k));
+      console.warn('[TronStore] flush', e);
+    }
+  }
+
+  function __scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flush();
+    }, FLUSH_DELAY_MS);
+  }
+
+  function get(key, fallback) {
+    return kvCache.has(key) ? kvCache.get(key) : fallback;
+  }
+
+  function set(key, value) {
+    kvCache.set(key, value);
+    dirtyKeys.add(key);
+    __scheduleFlush();
+  }
+
+  function del(key) {
+    if (!kvCache.has(key)) return;
+    kvCache.delete(key);
+    dirtyKeys.add(key);
+    __scheduleFlush();
+  }
+
+  function keys(prefix = '') {
+    return [...kvCache.keys()].filter(k => k.startsWith(prefix));
+  }
+
+  function __memStore(name) {
+    if (!memStores.has(name)) memStores.set(name, new Map());
+    return memStores.get(name);
+  }
+
+  async function getRecord(storeName, key) {
+    await ready;
+    if (!db) return __memStore(storeName).get(key) ?? null;
+    const tx = db.transaction(storeName, 'readonly');
+    return (await __req(tx.objectStore(storeName).get(key))) ?? null;
+  }
+
+  async function getAllRecords(storeName) {
+    await ready;
+    if (!db) return [...__memStore(storeName).values()];
+    const tx = db.transaction(storeName, 'readonly');
+    return await __req(tx.objectStore(storeName).getAll());
+  }
+
+  async function putRecord(storeName, value) {
+    await ready;
+    if (!db) {
+      const keyPath = storeName === 'posters' ? 'key' : 'url';
+      __memStore(storeName).set(value[keyPath], value);
+      return;
+    }
+    const tx = db.transaction(storeName, 'readwrite');
+    tx.objectStore(storeName).put(value);
+    await __txDone(tx);
+  }
+
+  async function deleteRecord(storeName, key) {
+    await ready;
+    if (!db) { __memStore(storeName).delete(key); return; }
+    const tx = db.transaction(storeName, 'readwrite');
+    tx.objectStore(storeName).delete(key);
+    await __txDone(tx);
+  }
+
+  const ready = (async () => {
+    try {
+      db = await __openDb();
+      // Un autre onglet migre le schéma : on libère la base
+      db.onversionchange = () => { try { db.close(); } catch {} db = null; };
+      await __loadKv();
+    } catch (e) {
+      console.warn('[TronStore] IndexedDB indisponible, repli localStorage', e);
+      db = null;
+      __loadFallbackKv();
+    }
+    __runDataMigrations();
+    if (dirtyKeys.size) await __flushNow();
+  })();
+
+  // Flush au masquage / à la fermeture (best-effort)
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+  window.addEventListener('pagehide', () => { flush(); });
+
+  window.TronStore = {
+    ready,
+    get,
+    set,
+    delete: del,
+    flush,
+    keys,
+    profileKey,
+    getRecord,
+    putRecord,
+    deleteRecord,
+    getAllRecords,
+  };
+})();
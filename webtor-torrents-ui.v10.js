@@ -2,7 +2,8 @@
    Rend la liste Torrents dans #torrentList + ouvre Webtor via openWebtorRectOverlay(url)
 */
 (function () {
-  const STORE_KEY = "tron_torrents_rect_v1";
+  const STORE_KEY = "tron_torrents_rect_v1";   // ancien localStorage (migré par TronStore)
+  const TRON_STORE_KEY = "torrents";           // clé kv TronStore (tron-store.js)
 
   function $all(sel, root=document){ return Array.from(root.querySelectorAll(sel)); }
 
@@ -16,12 +17,17 @@
   function safeParse(s, fallback){ try { return JSON.parse(s); } catch { return fallback; } }
 
   function loadTorrents(){
-    const arr = safeParse(localStorage.getItem(STORE_KEY) || '[]', []);
+    const arr = window.TronStore
+      ? window.TronStore.get(TRON_STORE_KEY, [])
+      : safeParse(localStorage.getItem(STORE_KEY) || '[]', []);
     return (Array.isArray(arr)?arr:[])
       .filter(x => x && typeof x.url==='string' && (isMagnet(x.url)||isTorrentUrl(x.url)))
       .map(x => ({ name: String(x.name||'Torrent'), url: String(x.url) }));
   }
-  function saveTorrents(list){ localStorage.setItem(STORE_KEY, JSON.stringify(list)); }
+  function saveTorrents(list){
+    if (window.TronStore) window.TronStore.set(TRON_STORE_KEY, list);
+    else localStorage.setItem(STORE_KEY, JSON.stringify(list));
+  }
 
   function render(){
     const root = document.getElementById('torrentList');
@@ -177,6 +183,7 @@ root.appendChild(row);
 
   document.addEventListener('DOMContentLoaded', ()=>{
     wireTab();
-    render();
+    if (window.TronStore) window.TronStore.ready.then(render);
+    else render();
   });
 })();